@@ -10,28 +10,111 @@ Usage: db-migrate [options] [command]
 Commands:
 
     info                show revision information
+    status              show the state of every migration script
     clean               drops all objects in the managed schema
     repair              repair migration failures
+    validate            validate applied migrations against the data directory
+    snapshot            record the structure of the schema for its current version
+    drift               compare the structure of the schema with the snapshot of its version
     baseline <version>  baseline existing schema to initial version
-    migrate [version]   migrate schema to new version
+    migrate [target]    migrate schema to new version (a version, latest, next or +N)
+    undo [version]      undo migrations down to version
+    unlock              release a stale migration lock
+    new <description>   create a new migration script in the data directory
 
 Options:
 
-    -h, --help     output usage information
-    -V, --version  output the version number
+    -h, --help                 output usage information
+    -V, --version              output the version number
+    --config <path>            path to the configuration file
+    --env <name>               environment profile from the configuration, e.g. production
+    --client <client>          database client (mysql, pg, sqlite3)
+    --connection <connection>  connection string
+    --schema <name>            name of the managed schema
+    --datadir <path>           data directory, or comma separated directories and glob patterns
+    --log-level <level>        log level (DEBUG, INFO, WARN, ERROR)
+    -p, --placeholder <key=value>  value of a ${key} placeholder in migration scripts
 */
 
 var _ = require("lodash");
+var Promise = require("bluebird");
+var fs = require("fs");
+var util = require("util");
 var pkginfo = require("../package.json");
 var program = require("commander");
 var Table = require("cli-table2");
-var Config = require("../lib/config");
+var Config = loadConfig();
 var SchemaManager = require("../lib/schema");
+var Util = require("../lib/utils");
 var Logging = require("../lib/logging");
 var exitCode = 0;
 
+// labels of execution status in `schema_version`
+var statusLabels = ["OK", "FAILED", "UNDONE", "UNDO FAILED"];
+
+// exit codes of `info`, by the state of the schema
+var infoExitCodes = {
+    "up to date": 0,
+    "pending": 2,
+    "failed": 3
+};
+
 var logger = Logging.getLogger("console");
 
+/**
+ * Load the configuration, or exit when it is invalid (e.g. unknown profile).
+ * @returns Object, configuration.
+ */
+function loadConfig() {
+    try {
+        return require("../lib/config").load(process.argv.slice(2));
+    } catch (e) {
+        process.stderr.write(e.message + "\n");
+        process.exit(1);
+    }
+}
+
+/**
+ * Locations of the migration scripts, `schema.datadir` is either a list or a comma separated string.
+ * @returns Array, directories or glob patterns.
+ */
+function dataLocations() {
+    var datadir = _.get(Config, "schema.datadir");
+    return _.compact(_.map(_.isArray(datadir) ? datadir : String(datadir).split(","), _.trim));
+}
+
+/**
+ * Whether `clean` is disabled by `schema.cleanDisabled`.
+ * @returns Boolean.
+ */
+function cleanDisabled() {
+    return String(_.get(Config, "schema.cleanDisabled")) == "true";
+}
+
+/**
+ * Whether the active environment profile is marked as production (`production = true` under `[env.<name>]`).
+ * @returns Boolean.
+ */
+function isProduction() {
+    return !!Config.profile && String(_.get(Config, ["env", Config.profile, "production"])) == "true";
+}
+
+/**
+ * Ask the user to confirm an operation by typing an answer.
+ * @param question: String, question to prompt.
+ * @param answer: String, expected answer.
+ * @returns Promise{Boolean}, whether the user typed the expected answer.
+ */
+function confirm(question, answer) {
+    return new Promise(function(resolve) {
+        var rl = require("readline").createInterface({input: process.stdin, output: process.stderr});
+        rl.question(question, function(input) {
+            rl.close();
+            resolve(_.trim(input) == answer);
+        });
+    });
+}
+
 /**
  * Short circuit for the command line options.
  * @param operation: String, operation name (e.g "migrate").
@@ -46,7 +129,22 @@ function callOperationByName(operation, arguments, callback) {
     callback = callback ? callback : _.noop;
 
     // initiate a schema manager for the operation
-    mgr = new SchemaManager(Config.schema.name, Config.client, Config.connection);
+    mgr = new SchemaManager(Config.schema.name, Config.client, Config.connection, {
+        lockTimeout: _.get(Config, "lock.timeout"),
+        connectRetries: Number(_.get(Config, "connect.retries", 0)),
+        connectTimeout: Number(_.get(Config, "connect.timeout", 30)),
+        statementTimeout: Number(_.get(Config, "schema.statementTimeout", 0)),
+        outOfOrder: String(_.get(Config, "schema.outOfOrder")) == "true",
+        placeholders: _.assign({}, Config.placeholders, program.placeholder),
+        table: _.get(Config, "schema.table"),
+        tableSchema: _.get(Config, "schema.tableSchema"),
+        cleanDisabled: cleanDisabled(),
+        production: isProduction(),
+        baselineOnMigrate: String(_.get(Config, "schema.baselineOnMigrate")) == "true",
+        baselineVersion: _.get(Config, "schema.baselineVersion", "1")
+    });
+
+    reportProgress(mgr);
 
     // operation is not supported
     op = _.get(mgr, operation);
@@ -66,37 +164,298 @@ function callOperationByName(operation, arguments, callback) {
         });
 }
 
-// `version`
 program
     .version(pkginfo.version);
 
+// overrides of the configuration (see lib/config.js)
+program
+    .option("--config <path>", "path to the configuration file")
+    .option("--env <name>", "environment profile from the configuration, e.g. production")
+    .option("--client <client>", "database client (mysql, pg, sqlite3)")
+    .option("--connection <connection>", "connection string")
+    .option("--schema <name>", "name of the managed schema")
+    .option("--datadir <path>", "data directory, or comma separated directories and glob patterns")
+    .option("--log-level <level>", "log level (DEBUG, INFO, WARN, ERROR)")
+    .option("-p, --placeholder <key=value>", "value of a ${key} placeholder in migration scripts", collectPlaceholder, {});
+
+/**
+ * Log the progress of a schema manager by its events.
+ * @param mgr: SchemaManager.
+ */
+function reportProgress(mgr) {
+    mgr.on("discovery", function(e) {
+        logger.info("Found %d script(s) to migrate in %s, target version: %s",
+            e.scripts.length, e.directory, e.target || "none");
+    });
+    mgr.on("connect:retry", function(e) {
+        logger.warn("Could not connect to the database (%s), retrying in %d ms", e.error, e.delay);
+    });
+    mgr.on("warning", function(e) {
+        logger.warn(e.message);
+    });
+    mgr.on("migration:start", function(e) {
+        if (e.transaction) {
+            logger.info("Migrating %s/%s %s", e.version || "R", e.rank, e.script);
+        } else {
+            logger.warn("Migrating %s/%s %s without a transaction, a failure may leave it partially applied",
+                e.version || "R", e.rank, e.script);
+        }
+    });
+    mgr.on("migration:success", function(e) {
+        logger.info("Migrated %s/%s %s in %d ms", e.version || "R", e.rank, e.script, e.duration);
+    });
+    mgr.on("migration:failure", function(e) {
+        logger.error("Migration %s/%s %s failed after %d ms: %s", e.version || "R", e.rank, e.script,
+            e.duration, e.error.message);
+    });
+    mgr.on("version:complete", function(e) {
+        logger.info("Schema `%s` is at version %s", e.schema, e.version);
+    });
+    mgr.on("undo:start", function(e) {
+        logger.info("Undoing %s/%s %s", e.version, e.rank, e.script);
+    });
+    mgr.on("version:undone", function(e) {
+        logger.info("Version %s of `%s` was undone", e.version, e.schema);
+    });
+    mgr.on("baseline", function(e) {
+        logger.info("Schema `%s` was baselined to version %s", e.schema, e.version);
+    });
+    mgr.on("clean", function(e) {
+        logger.info("Schema `%s` was cleaned, %d object(s) were dropped", e.schema, e.objects.length);
+    });
+    mgr.on("snapshot", function(e) {
+        logger.info("Recorded a snapshot of `%s` for version %s (%d table(s), %d view(s))",
+            e.schema, e.version, e.tables, e.views);
+    });
+}
+
+/**
+ * Collect `-p key=value` options into placeholders.
+ * @param value: String, "key=value".
+ * @param placeholders: Object, placeholders collected so far.
+ * @returns Object, placeholders.
+ */
+function collectPlaceholder(value, placeholders) {
+    var idx = value.indexOf("=");
+    if (idx < 1) {
+        logger.error("Invalid placeholder `%s`, expected key=value.", value);
+        process.exit(1);
+    }
+    placeholders[value.substr(0, idx)] = value.substr(idx + 1);
+    return placeholders;
+}
+
+/**
+ * Print the differences between the structure of a schema and its snapshot (see `SchemaManager#drift`).
+ * "+" objects exist in the schema only, "-" objects exist in the snapshot only and "~" objects were changed.
+ * @param drift: Object, {version, recordedAt, differences}.
+ */
+function printDrift(drift) {
+    var describe = function(value) {
+        return _.isString(value) ? value : JSON.stringify(value);
+    };
+    // tables are described by their columns, the rest of their structure is in the snapshot
+    var describeObject = function(kind, value) {
+        return kind == "table" ? "columns " + _.keys(value.columns).join(", ") : describe(value);
+    };
+
+    if (_.isEmpty(drift.differences)) {
+        logger.info("Schema: `%s`, Version: %s, Drift: NONE", Config.schema.name, drift.version);
+        return;
+    }
+    logger.error("Schema: `%s`, Version: %s, Drift: %d difference(s) from the snapshot of %s",
+        Config.schema.name, drift.version, drift.differences.length, new Date(drift.recordedAt).toISOString());
+    _.each(drift.differences, function(difference) {
+        if (difference.change == "added") {
+            logger.info("+ %s %s: %s", difference.kind, difference.name,
+                describeObject(difference.kind, difference.actual));
+        } else if (difference.change == "removed") {
+            logger.info("- %s %s: %s", difference.kind, difference.name,
+                describeObject(difference.kind, difference.expected));
+        } else if (_.isPlainObject(difference.expected) && _.isPlainObject(difference.actual)) {
+            // list the changed properties of a column
+            logger.info("~ %s %s: %s", difference.kind, difference.name, _.map(
+                _.filter(_.union(_.keys(difference.expected), _.keys(difference.actual)), function(key) {
+                    return !_.isEqual(difference.expected[key], difference.actual[key]);
+                }),
+                function(key) {
+                    return util.format("%s %s -> %s", key,
+                        describe(difference.expected[key]), describe(difference.actual[key]));
+                }).join(", "));
+        } else {
+            logger.info("~ %s %s", difference.kind, difference.name);
+            logger.info("    snapshot: %s", describe(difference.expected));
+            logger.info("    live:     %s", describe(difference.actual));
+        }
+    });
+    exitCode = 1;
+}
+
+/**
+ * Print a migration plan (see `SchemaManager#plan`).
+ * @param plan: Array, planned migration scripts, with the `target` version of a migration.
+ */
+function printPlan(plan) {
+    // the plan of a migration has the version it reaches, unlike the plan of a repair
+    var target = plan && plan.target ? ", target version: " + plan.target : "";
+    if (_.isEmpty(plan)) {
+        logger.info("Plan: nothing to run%s", target);
+        return;
+    }
+    logger.info("Plan: %s migration script(s)%s, nothing will be executed", plan.length, target);
+    _.each(plan, function(migration) {
+        logger.info("%s/%s %s (%s%s%s)", migration.version || "R", migration.rank, migration.script, migration.type,
+            migration.transaction ? "" : ", no transaction",
+            migration.timeout ? ", timeout " + migration.timeout + "s" : "");
+        _.each(migration.statements, function(statement) {
+            _.each(statement.split("\n"), function(line) {
+                logger.info("    %s", line);
+            });
+        });
+    });
+}
+
+/**
+ * Render `info` as a table.
+ * @param info: Object, see `SchemaManager#info`.
+ * @returns Array, lines of text.
+ */
+function renderTable(info) {
+    var lines = [util.format("Schema: `%s`, Version: %s", info.schema, info.version)];
+    var row = function(migration) {
+        return [
+            _.get(migration, "script", "N/A"),
+            _.get(migration, "description", "N/A"),
+            _.get(migration, "execution_time", "0") + " ms",
+            statusLabels[_.get(migration, "status", 1)] || "FAILED",
+            _.get(migration, "reason", "N/A")
+        ];
+    };
+    var table;
+
+    if (info.lock) {
+        lines.push(util.format("Locked by %s (%s) since %s",
+            info.lock.locked_by, info.lock.operation, info.lock.locked_at));
+    }
+    if (info.version.toLowerCase() != "unknown") {
+        table = new Table({
+            head: ["Script", "Description", "Execution Time", "Status", "Reason"]
+        });
+        _.each(info.migrations || [], function(migration) {
+            table.push(row(migration));
+        });
+        lines = lines.concat(table.toString().split("\n"));
+    }
+    if (!_.isEmpty(info.repeatables)) {
+        lines.push("Repeatable migrations:");
+        table = new Table({
+            head: ["Script", "Description", "Execution Time", "Status", "Reason"]
+        });
+        _.each(info.repeatables, function(migration) {
+            table.push(row(migration));
+        });
+        lines = lines.concat(table.toString().split("\n"));
+    }
+    if (!_.isEmpty(info.pending)) {
+        lines.push(util.format("Pending: %s script(s)", info.pending.length));
+        table = new Table({
+            head: ["Version", "Script", "Description", "Type"]
+        });
+        _.each(info.pending, function(migration) {
+            table.push([migration.version || "R", migration.script, migration.description, migration.type]);
+        });
+        lines = lines.concat(table.toString().split("\n"));
+    }
+    return lines;
+}
+
+/**
+ * Render `info` as CSV, a line for every history row and every pending script.
+ * @param info: Object, see `SchemaManager#info`.
+ * @returns Array, lines of text.
+ */
+function renderCsv(info) {
+    var columns = [
+        "version", "script", "description", "type", "checksum", "installed_rank",
+        "installed_by", "installation_time", "execution_time", "status", "reason"
+    ];
+    var escape = function(value) {
+        value = _.isDate(value) ? value.toISOString() : String(_.isUndefined(value) || _.isNull(value) ? "" : value);
+        return /[",\r\n]/.test(value) ? "\"" + value.replace(/"/g, "\"\"") + "\"" : value;
+    };
+    var line = function(state, row) {
+        return [state].concat(_.map(columns, function(column) {
+            return escape(column == "status" && _.has(row, "status") ? statusLabels[row.status] : row[column]);
+        })).join(",");
+    };
+
+    return [["state"].concat(columns).join(",")]
+        .concat(_.map(info.history, _.partial(line, "applied")))
+        .concat(_.map(info.pending, _.partial(line, "pending")));
+}
+
 // `info` command
 program
     .command("info")
     .description("show revision information")
-    .action(function() {
-        return callOperationByName("revision", [], function(revision) {
-            var version = _.get(revision, "version");
-            logger.info("Schema: `%s`, Version:", Config.schema.name, version);
-            if (version.toLowerCase() != "unknown") {
-                var table = new Table({
-                    head: ["Script", "Description", "Execution Time", "Status", "Reason"]
-                });
-                _.each(revision.migrations || [], function(migration) {
-                    table.push(
-                        [
-                            _.get(migration, "script", "N/A"),
-                            _.get(migration, "description", "N/A"),
-                            _.get(migration, "execution_time", "0") + " ms",
-                            _.get(migration, "status", 1) == 0 ? "OK" : "FAILED",
-                            _.get(migration, "reason", "N/A")
-                        ]
-                    );
-                });
-                _.each(table.toString().split("\n"), function(line) {
+    .option("-f, --format <format>", "output format: table, json or csv", "table")
+    .option("-o, --output <file>", "write the output to a file")
+    .action(function(options) {
+        if (["table", "json", "csv"].indexOf(options.format) < 0) {
+            logger.error("Output format is not supported: %s", options.format);
+            process.exit(1);
+        }
+        // keep stdout clean for machine-readable output
+        if (options.format != "table" && !options.output) {
+            Logging.toStderr();
+        }
+        return callOperationByName("info", [dataLocations()], function(info) {
+            var lines;
+
+            if (options.format == "json") {
+                lines = [JSON.stringify(info, null, 2)];
+            } else if (options.format == "csv") {
+                lines = renderCsv(info);
+            } else {
+                lines = renderTable(info);
+            }
+
+            if (options.output) {
+                fs.writeFileSync(options.output, lines.join("\n") + "\n");
+            } else if (options.format == "table") {
+                _.each(lines, function(line) {
                     logger.info(line);
                 });
+            } else {
+                process.stdout.write(lines.join("\n") + "\n");
             }
+
+            exitCode = infoExitCodes[info.state];
+        });
+    });
+
+// `status`
+program
+    .command("status")
+    .description("show the state of every migration script")
+    .action(function() {
+        return callOperationByName("status", [dataLocations()], function(status) {
+            var table = new Table({
+                head: ["Version", "Script", "Description", "Type", "State"]
+            });
+            logger.info("Schema: `%s`, Version: %s", Config.schema.name, status.version);
+            _.each(status.scripts, function(migration) {
+                table.push([
+                    migration.version || "R",
+                    migration.script,
+                    migration.description,
+                    migration.type,
+                    migration.state
+                ]);
+            });
+            _.each(table.toString().split("\n"), function(line) {
+                logger.info(line);
+            });
         });
     });
 
@@ -104,32 +463,183 @@ program
 program
     .command("clean")
     .description("drops all objects in the managed schema")
-    .action(function() {
-        return callOperationByName("clean", []);
+    .option("--force", "clean without confirmation")
+    .action(function(options) {
+        var schema = Config.schema.name;
+        var refuse = function(message) {
+            logger.error(message);
+            process.exit(1);
+        };
+
+        if (cleanDisabled()) {
+            return refuse(util.format("Clean is disabled for schema `%s` (see `cleanDisabled`).", schema));
+        }
+        if (isProduction()) {
+            return refuse(util.format("Refusing to clean schema `%s`, the `%s` profile is marked as production.",
+                schema, Config.profile));
+        }
+        if (options.force) {
+            return callOperationByName("clean", [{directory: dataLocations()}]);
+        }
+        if (!process.stdin.isTTY) {
+            return refuse("Clean must be confirmed from a terminal, run with `--force` to clean without confirmation.");
+        }
+        return confirm(util.format("This drops every object in schema `%s`. Type the name of the schema to continue: ",
+            schema), schema)
+            .then(function(confirmed) {
+                if (!confirmed) {
+                    return refuse("Clean was cancelled.");
+                }
+                return callOperationByName("clean", [{directory: dataLocations()}]);
+            });
     });
 
 // `repair`
 program
     .command("repair")
     .description("repair migration failures")
+    .option("--dry-run", "print the repair plan without running it")
+    .action(function(options) {
+        if (options.dryRun) {
+            return callOperationByName("repair", [dataLocations(), {dryRun: true}], printPlan);
+        }
+        return callOperationByName("repair", [dataLocations()]);
+    });
+
+// `validate`
+program
+    .command("validate")
+    .description("validate applied migrations against the data directory")
+    .action(function() {
+        return callOperationByName("validate", [dataLocations()], function(validation) {
+            if (validation.valid) {
+                logger.info("Schema: `%s`, Validation: OK", Config.schema.name);
+                return;
+            }
+            logger.error("Schema: `%s`, Validation: FAILED", Config.schema.name);
+            var table = new Table({
+                head: ["Version", "Script", "Problem"]
+            });
+            _.each(validation.modified, function(migration) {
+                table.push([migration.version, migration.script,
+                    "Checksum mismatch (applied: " + migration.applied + ", resolved: " + migration.resolved + ")"]);
+            });
+            _.each(validation.missing, function(migration) {
+                table.push([migration.version, migration.script, "Applied but not found in the data directory"]);
+            });
+            _.each(validation.unknown, function(migration) {
+                table.push([migration.version, migration.script, "Found in the data directory but never applied"]);
+            });
+            _.each(table.toString().split("\n"), function(line) {
+                logger.info(line);
+            });
+            exitCode = 1;
+        });
+    });
+
+// `snapshot`
+program
+    .command("snapshot")
+    .description("record the structure of the schema for its current version")
+    .action(function() {
+        return callOperationByName("snapshot", []);
+    });
+
+// `drift`
+program
+    .command("drift")
+    .description("compare the structure of the schema with the snapshot of its version")
     .action(function() {
-        return callOperationByName("repair", [Config.schema.datadir]);
+        return callOperationByName("drift", [], printDrift);
     });
 
 // `baseline`
 program
     .command("baseline <version>")
     .description("baseline existing schema to initial version")
-    .action(function(version) {
-        return callOperationByName("baseline", [version]);
+    .option("--force", "replace the history of a schema which already has one")
+    .action(function(version, options) {
+        return callOperationByName("baseline", [version, undefined, {
+            directory: dataLocations(),
+            force: !!options.force
+        }]);
     });
 
 // `migrate`
 program
-    .command("migrate [version]")
-    .description("migrate schema to new version")
+    .command("migrate [target]")
+    .description("migrate schema to new version (a version, latest, next or +N)")
+    .option("--dry-run", "print the migration plan without running it")
+    .option("--from <version>", "lowest version to apply, fails when lower versions are pending")
+    .option("--to <version>", "highest version to apply")
+    .option("--out-of-order", "apply scripts with a version lower than the current version which were never applied")
+    .option("--atomic <mode>", "run every script of a version (version) or every pending script (all) in one transaction")
+    .action(function(target, options) {
+        var migrateOptions = _.pick({
+            outOfOrder: options.outOfOrder,
+            atomic: options.atomic || _.get(Config, "schema.atomic"),
+            from: options.from,
+            to: options.to
+        }, _.identity);
+        if (options.dryRun) {
+            return callOperationByName("plan", [dataLocations(), target, migrateOptions], printPlan);
+        }
+        return callOperationByName("migrate", [dataLocations(), target, migrateOptions]);
+    });
+
+// `undo`
+program
+    .command("undo [version]")
+    .description("undo migrations down to version")
     .action(function(version) {
-        return callOperationByName("migrate", [Config.schema.datadir, version]);
+        return callOperationByName("undo", [dataLocations(), version], function(versions) {
+            if (_.isEmpty(versions)) {
+                logger.info("No versions to undo were found.");
+            }
+        });
+    });
+
+// `new`
+program
+    .command("new <description>")
+    .description("create a new migration script in the data directory")
+    .option("--js", "create a Node.js migration script instead of SQL")
+    .option("--ver <version>", "version of the migration script, default is the next version")
+    .option("--location <path>", "directory to create the script in, default is the first data directory")
+    .action(function(description, options) {
+        return Promise.try(function() {
+            return Util.createScript(dataLocations(), description, {
+                type: options.js ? "Node.js" : "SQL",
+                version: options.ver,
+                template: _.get(Config, "schema.template"),
+                location: options.location
+            });
+        })
+            .then(function(migration) {
+                logger.info("Created %s", migration.path);
+            })
+            .catch(function(e) {
+                logger.error(e.message);
+                exitCode = 1;
+            })
+            .finally(function() {
+                process.exit(exitCode);
+            });
+    });
+
+// `unlock`
+program
+    .command("unlock")
+    .description("release a stale migration lock")
+    .action(function() {
+        return callOperationByName("unlock", [], function(lock) {
+            if (!lock) {
+                logger.info("Schema `%s` is not locked", Config.schema.name);
+                return;
+            }
+            logger.info("Released lock of `%s` held by %s (%s) since %s",
+                Config.schema.name, lock.locked_by, lock.operation, lock.locked_at);
+        });
     });
 
 // parse command line arguments
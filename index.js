@@ -1,2 +1,2 @@
 // exports
-module.exports.SchemaManager = require('./lib/schema');
\ No newline at end of file
+module.exports.SchemaManager = require("./lib/schema");
\ No newline at end of file
@@ -1,6 +1,6 @@
 const _ = require("lodash");
 const log4js = require("log4js");
-const config = require("./config");
+const Config = require("./config");
 
 exports = module.exports = {};
 
@@ -17,6 +17,17 @@ log4js.configure({
  */
 exports.getLogger = name => {
     const logger = log4js.getLogger(name);
-    logger.setLevel(_.get(config, "logging.level", "INFO"));
+    logger.setLevel(_.get(Config.get(), "logging.level", "INFO"));
     return logger;
 };
+
+/**
+ * Write log messages to stderr instead of stdout,
+ * leaving stdout for the output of the command line.
+ */
+exports.toStderr = () => {
+    log4js.configure({
+        replaceConsole: false,
+        appenders: [{ type: "stderr" }]
+    });
+};
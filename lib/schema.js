@@ -2,26 +2,330 @@ const _ = require("lodash");
 const Promise = require("bluebird");
 const util = require("util");
 const os = require("os");
-const fs = require("fs");
+const EventEmitter = require("events").EventEmitter;
+const fs = Promise.promisifyAll(require("fs"));
 
 const Logging = require("./logging");
 const Util = require("./utils");
+const pkginfo = require("../package.json");
 
 
 const SchemaManager = ((() => {
-    // Create a store to hold the private objects.
-    const _private = {};
+    // Create a store to hold the private objects of each instance.
+    const store = new WeakMap();
+
+    // Number of instances, telling apart the lock owners of a process.
+    let instances = 0;
+
+    // Execution status of objects in the revision table.
+    const STATUS = {
+        OK: 0,
+        FAILED: 1,
+        UNDONE: 2,
+        UNDO_FAILED: 3
+    };
+
+    // Lifecycle events, callbacks run by the name of the event.
+    const CALLBACKS = _.flatten(_.map(["Migrate", "Repair", "Baseline", "Clean"],
+        op => ["before" + op, "after" + op, "after" + op + "Error"]
+    )).concat(["beforeEachMigrate", "afterEachMigrate", "afterEachMigrateError"]);
+
+    // Upgrades of the history table structure, the metadata version is the number of upgrades applied.
+    // Every upgrade adds missing columns only, so it is safe for tables created by any version.
+    const METADATA = [
+        // 1: placeholders which were used by a script
+        ["placeholders"],
+        // 2: checksum algorithm, version of the tool and the user who ran a script
+        ["checksum_algorithm", "tool_version", "execution_user"]
+    ];
+
+    // Header comment of SQL scripts which must run outside of a transaction.
+    const NO_TRANSACTION = /^\s*--\s*db-migrate:\s*no-transaction\s*$/i;
+
+    // Header comment of SQL scripts with their own statement timeout, in seconds.
+    const TIMEOUT = /^\s*--\s*db-migrate:\s*timeout\s*=\s*(\d+)\s*$/i;
+
+    // Statements which set the statement and lock timeouts of a transaction, by client.
+    // With no seconds, the statements restore the defaults of the server.
+    const TIMEOUTS = {
+        pg: seconds => _.map(["statement_timeout", "lock_timeout"], name => seconds ?
+            `SET LOCAL ${name} = ${seconds * 1000}` : `SET LOCAL ${name} TO DEFAULT`),
+        mysql: seconds => _.map([
+            ["max_execution_time", seconds * 1000],
+            ["lock_wait_timeout", seconds],
+            ["innodb_lock_wait_timeout", seconds]
+        ], setting => `SET SESSION ${setting[0]} = ${seconds ? setting[1] : "DEFAULT"}`)
+    };
+
+    // Longest delay between connection attempts, in milliseconds.
+    const MAX_CONNECT_DELAY = 30000;
+
+    // Quote an identifier, by client.
+    const quote = {
+        pg: name => `"${name.replace(/"/g, "\"\"")}"`,
+        mysql: name => "`" + name.replace(/`/g, "``") + "`",
+        sqlite3: name => `"${name.replace(/"/g, "\"\"")}"`
+    };
+
+    // Objects of a schema which are dropped by `clean`, by client. `list` reads the objects
+    // in the order they are dropped, `drop` is the statement which drops an object, and
+    // `before`/`after` run around the drop statements, in the same transaction.
+    const MYSQL_CLEAN = {
+        list: (knex, schema) => Promise.join(
+            knex.select("trigger_name as name").from("information_schema.triggers")
+                .where("trigger_schema", schema),
+            knex.select("event_name as name").from("information_schema.events")
+                .where("event_schema", schema),
+            knex.select("routine_name as name", "routine_type as type").from("information_schema.routines")
+                .where("routine_schema", schema),
+            knex.select("table_name as name", "table_type as type").from("information_schema.tables")
+                .where("table_schema", schema),
+            (triggers, events, routines, tables) => [].concat(
+                _.map(triggers, o => ({type: "TRIGGER", name: o.name})),
+                _.map(events, o => ({type: "EVENT", name: o.name})),
+                _.map(routines, o => ({type: o.type, name: o.name})),
+                _.map(_.filter(tables, {type: "VIEW"}), o => ({type: "VIEW", name: o.name})),
+                _.map(_.filter(tables, {type: "BASE TABLE"}), o => ({type: "TABLE", name: o.name})),
+                // MariaDB
+                _.map(_.filter(tables, {type: "SEQUENCE"}), o => ({type: "SEQUENCE", name: o.name}))
+            )),
+        drop: (schema, o) => `DROP ${o.type} IF EXISTS ${quote.mysql(schema)}.${quote.mysql(o.name)}`,
+        // foreign keys between tables would fail drops in the wrong order
+        before: ["SET FOREIGN_KEY_CHECKS = 0"],
+        after: ["SET FOREIGN_KEY_CHECKS = 1"]
+    };
+
+    const CLEAN = {
+        mysql: MYSQL_CLEAN,
+        mariasql: MYSQL_CLEAN,
+        pg: {
+            // triggers are dropped along with their tables, objects of extensions are left to the extension
+            list: (knex, schema) => knex.raw("SHOW server_version_num").then(result => Promise.mapSeries([
+                "SELECT 'MATERIALIZED VIEW' AS type, matviewname AS name FROM pg_matviews WHERE schemaname = ?",
+                "SELECT 'VIEW' AS type, table_name AS name FROM information_schema.views WHERE table_schema = ?",
+                "SELECT 'TABLE' AS type, tablename AS name FROM pg_tables WHERE schemaname = ?",
+                "SELECT 'SEQUENCE' AS type, sequence_name AS name FROM information_schema.sequences " +
+                "WHERE sequence_schema = ?",
+                // `prokind` (and procedures) came with PostgreSQL 11, aggregates were flagged by `proisagg` before
+                (Number(result.rows[0].server_version_num) >= 110000 ?
+                    "SELECT CASE p.prokind WHEN 'p' THEN 'PROCEDURE' WHEN 'a' THEN 'AGGREGATE' ELSE 'FUNCTION' END AS type, " :
+                    "SELECT CASE WHEN p.proisagg THEN 'AGGREGATE' ELSE 'FUNCTION' END AS type, ") +
+                "p.proname AS name, pg_get_function_identity_arguments(p.oid) AS args " +
+                "FROM pg_proc p JOIN pg_namespace n ON n.oid = p.pronamespace WHERE n.nspname = ? " +
+                "AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.objid = p.oid AND d.deptype = 'e')",
+                "SELECT CASE t.typtype WHEN 'd' THEN 'DOMAIN' ELSE 'TYPE' END AS type, t.typname AS name " +
+                "FROM pg_type t JOIN pg_namespace n ON n.oid = t.typnamespace WHERE n.nspname = ? " +
+                "AND t.typtype IN ('c', 'd', 'e', 'r') " +
+                "AND (t.typrelid = 0 OR (SELECT c.relkind FROM pg_class c WHERE c.oid = t.typrelid) = 'c') " +
+                "AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.objid = t.oid AND d.deptype = 'e')"
+            ], sql => knex.raw(sql, [schema]).then(result => result.rows))).then(_.flatten),
+            // objects which depend on the dropped object are dropped with it
+            drop: (schema, o) => `DROP ${o.type} IF EXISTS ${quote.pg(schema)}.${quote.pg(o.name)}` +
+                (_.isString(o.args) ? `(${o.args})` : "") + " CASCADE",
+            before: [],
+            after: []
+        },
+        sqlite3: {
+            list: knex => knex.select("type", "name").from("sqlite_master")
+                .whereIn("type", ["trigger", "view", "table"])
+                .andWhere("name", "not like", "sqlite_%")
+                .then(objects => _.sortBy(_.map(objects, o => ({type: o.type.toUpperCase(), name: o.name})),
+                    o => ["TRIGGER", "VIEW", "TABLE"].indexOf(o.type))),
+            drop: (schema, o) => `DROP ${o.type} IF EXISTS ${quote.sqlite3(o.name)}`,
+            // foreign keys are checked on commit, when every table was dropped
+            before: ["PRAGMA defer_foreign_keys = ON"],
+            after: []
+        }
+    };
+
+    // Structure of a schema from the rows of its catalog, {tables: {name: {columns, indexes, constraints}}, views}.
+    // Columns are described by {type, nullable, default}, indexes, constraints and views by their definition.
+    const structure = (tables, columns, indexes, constraints, views) => {
+        const result = {tables: {}, views: {}};
+        const of = row => result.tables[row.table_name];
+
+        _.each(tables, t => {
+            result.tables[t.name] = {columns: {}, indexes: {}, constraints: {}};
+        });
+        _.each(_.filter(columns, of), c => {
+            of(c).columns[c.name] = {type: c.type, nullable: !!c.nullable, default: _.isUndefined(c.default) ? null : c.default};
+        });
+        _.each(_.filter(indexes, of), i => {
+            of(i).indexes[i.name] = i.definition;
+        });
+        _.each(_.filter(constraints, of), c => {
+            of(c).constraints[c.name] = c.definition;
+        });
+        _.each(views, v => {
+            result.views[v.name] = v.definition;
+        });
+        return result;
+    };
+
+    // Read the structure of a schema (see `structure`) from its catalog, by client.
+    const MYSQL_CATALOG = (knex, schema) => Promise.join(
+        knex.select("table_name as name").from("information_schema.tables")
+            .where({table_schema: schema, table_type: "BASE TABLE"}),
+        knex.select("table_name as table_name", "column_name as name", "column_type as type",
+            "is_nullable as is_nullable", "column_default as default_value")
+            .from("information_schema.columns").where("table_schema", schema),
+        knex.select("table_name as table_name", "index_name as name", "column_name as column_name",
+            "non_unique as non_unique")
+            .from("information_schema.statistics").where("table_schema", schema)
+            .orderBy("seq_in_index"),
+        knex.select("tc.table_name as table_name", "tc.constraint_name as name", "tc.constraint_type as type",
+            "k.column_name as column_name", "k.referenced_table_name as referenced_table_name",
+            "k.referenced_column_name as referenced_column_name")
+            .from("information_schema.table_constraints as tc")
+            .leftJoin("information_schema.key_column_usage as k", function() {
+                this.on("k.constraint_schema", "tc.constraint_schema")
+                    .andOn("k.table_name", "tc.table_name")
+                    .andOn("k.constraint_name", "tc.constraint_name");
+            })
+            .where("tc.constraint_schema", schema)
+            .orderBy("k.ordinal_position"),
+        knex.select("table_name as name", "view_definition as definition")
+            .from("information_schema.views").where("table_schema", schema),
+        (tables, columns, statistics, keys, views) => structure(
+            tables,
+            _.map(columns, c => ({
+                table_name: c.table_name,
+                name: c.name,
+                type: c.type,
+                nullable: c.is_nullable == "YES",
+                default: c.default_value
+            })),
+            _.map(_.groupBy(statistics, s => s.table_name + "." + s.name), rows => ({
+                table_name: rows[0].table_name,
+                name: rows[0].name,
+                definition: util.format("%sINDEX (%s)",
+                    Number(rows[0].non_unique) ? "" : "UNIQUE ", _.pluck(rows, "column_name").join(", "))
+            })),
+            _.map(_.groupBy(keys, k => k.table_name + "." + k.name), rows => ({
+                table_name: rows[0].table_name,
+                name: rows[0].name,
+                definition: util.format("%s (%s)", rows[0].type, _.compact(_.pluck(rows, "column_name")).join(", ")) +
+                    (rows[0].referenced_table_name ? util.format(" REFERENCES %s(%s)",
+                        rows[0].referenced_table_name, _.pluck(rows, "referenced_column_name").join(", ")) : "")
+            })),
+            views
+        ));
+
+    const CATALOG = {
+        mysql: MYSQL_CATALOG,
+        mariasql: MYSQL_CATALOG,
+        pg: (knex, schema) => Promise.mapSeries([
+            "SELECT table_name AS name FROM information_schema.tables " +
+            "WHERE table_schema = ? AND table_type = 'BASE TABLE'",
+            "SELECT table_name, column_name AS name, data_type AS type, is_nullable = 'YES' AS nullable, " +
+            "column_default AS default FROM information_schema.columns WHERE table_schema = ?",
+            "SELECT tablename AS table_name, indexname AS name, indexdef AS definition " +
+            "FROM pg_indexes WHERE schemaname = ?",
+            // not-null constraints are part of the columns
+            "SELECT cl.relname AS table_name, c.conname AS name, pg_get_constraintdef(c.oid) AS definition " +
+            "FROM pg_constraint c JOIN pg_class cl ON cl.oid = c.conrelid " +
+            "JOIN pg_namespace n ON n.oid = cl.relnamespace WHERE n.nspname = ? AND c.contype <> 'n'",
+            "SELECT table_name AS name, view_definition AS definition FROM information_schema.views " +
+            "WHERE table_schema = ?"
+        ], sql => knex.raw(sql, [schema]).then(result => result.rows))
+            .spread(structure),
+        sqlite3: knex => knex.select("type", "name", "sql").from("sqlite_master")
+            .whereIn("type", ["table", "view"])
+            .andWhere("name", "not like", "sqlite_%")
+            .then(objects => {
+                const tables = _.filter(objects, {type: "table"});
+                const pragma = (name, arg) => knex.raw(`PRAGMA ${name}(${quote.sqlite3(arg)})`);
+
+                return Promise.mapSeries(tables, t => Promise.join(
+                    pragma("table_info", t.name),
+                    // indexes of the primary key are described by the constraint
+                    pragma("index_list", t.name).then(indexes => Promise.mapSeries(
+                        _.reject(indexes, {origin: "pk"}),
+                        index => pragma("index_info", index.name).then(info => ({
+                            table_name: t.name,
+                            name: index.name,
+                            definition: util.format("%sINDEX (%s)",
+                                index.unique ? "UNIQUE " : "", _.pluck(_.sortBy(info, "seqno"), "name").join(", "))
+                        })))),
+                    pragma("foreign_key_list", t.name),
+                    (columns, indexes, keys) => {
+                        const pk = _.sortBy(_.filter(columns, c => c.pk > 0), "pk");
+                        // foreign keys have no name in SQLite, hence named by their definition
+                        const constraints = _.map(_.groupBy(keys, "id"), rows => util.format(
+                            "FOREIGN KEY (%s) REFERENCES %s(%s)",
+                            _.pluck(rows, "from").join(", "), rows[0].table, _.pluck(rows, "to").join(", ")
+                        ));
+                        if (!_.isEmpty(pk)) {
+                            constraints.unshift(util.format("PRIMARY KEY (%s)", _.pluck(pk, "name").join(", ")));
+                        }
+                        return {
+                            columns: _.map(columns, c => ({
+                                table_name: t.name,
+                                name: c.name,
+                                type: c.type,
+                                nullable: !c.notnull,
+                                default: c.dflt_value
+                            })),
+                            indexes,
+                            constraints: _.map(constraints, definition => ({table_name: t.name, name: definition, definition}))
+                        };
+                    }
+                )).then(details => structure(
+                    tables,
+                    _.flatten(_.pluck(details, "columns")),
+                    _.flatten(_.pluck(details, "indexes")),
+                    _.flatten(_.pluck(details, "constraints")),
+                    _.map(_.filter(objects, {type: "view"}), v => ({name: v.name, definition: v.sql}))
+                ));
+            })
+    };
 
     /**
      * Schema Manager.
      *
+     * An EventEmitter of the progress of its operations, every event carries the `schema` name:
+     *  - discovery: {directory, scripts, target}, scripts which are about to run (or be planned) by `migrate`,
+     *               and the version of the schema after they run.
+     *  - migration:start: {version, rank, script, description, type, transaction}.
+     *  - migration:success: {version, rank, script, description, type, duration}.
+     *  - migration:failure: {version, rank, script, description, type, error, duration}.
+     *  - version:complete: {version, scripts}, every script of a version was applied.
+     *  - baseline: {version, description}.
+     *  - clean: {objects}, dropped objects [{type, name}].
+     *  - snapshot: {version, tables, views}, number of tables and views in the recorded snapshot.
+     *
      * @param schema: String, schema name.
      * @param client: String, client name [e.g. "mysql"].
      * @param connectionConfig: Object/String, either a config object a URL formatted string.
+     * @param options: Object, optional.
+     *                 - lockTimeout: Number, seconds to wait for the migration lock (default: 60).
+     *                 - outOfOrder: Boolean, apply scripts with a version lower than the current version
+     *                               which were never applied (default: false).
+     *                 - placeholders: Object, values of ${name} placeholders in migration scripts.
+     *                                 ${schema} is always the name of the schema.
+     *                 - callbacks: Object, lifecycle callback functions by event (e.g. afterEachMigrate),
+     *                              each is called with (knex, context) and may return a promise.
+     *                 - table: String, name of the history table (default: "schema_version").
+     *                 - tableSchema: String, schema of the history table (default: the managed schema).
+     *                 - connectRetries: Number, retries of a failed connection, with an exponential
+     *                                   backoff starting at 1 second (default: 0).
+     *                 - connectTimeout: Number, seconds to wait for a connection, 0 to wait for as long as the driver does (default: 30).
+     *                 - statementTimeout: Number, seconds a statement of a migration script may run or wait
+     *                                     for a lock, 0 for no limit (default: 0). Scripts override it
+     *                                     by a header comment (SQL) or by exporting `timeout` (Node.js).
+     *                 - cleanDisabled: Boolean, refuse to `clean` the schema (default: false).
+     *                 - production: Boolean, the schema belongs to a production environment, which
+     *                               refuses to `clean` as well (default: false).
+     *                 - baselineOnMigrate: Boolean, let `migrate` adopt a schema with no history: a schema
+     *                                      which has objects is baselined to `baselineVersion` first, and
+     *                                      an empty schema is migrated from scratch (default: false).
+     *                 - baselineVersion: String, version of the baseline of `baselineOnMigrate`, scripts up to
+     *                                    it are recorded as applied (default: "1").
      * @constructor
      */
-    class SchemaManager {
-        constructor(schema, client, connectionConfig) {
+    class SchemaManager extends EventEmitter {
+        constructor(schema, client, connectionConfig, options) {
+            super();
 
             if (typeof schema != "string") {
                 throw new Error(
@@ -29,11 +333,38 @@ const SchemaManager = ((() => {
                 );
             }
 
+            options = options || {};
+
+            _.each(options.callbacks, (fn, event) => {
+                if (CALLBACKS.indexOf(event) < 0 || typeof fn != "function") {
+                    throw new Error(`Invalid callback \`${event}\`, expected a function for one of: ${CALLBACKS.join(", ")}`);
+                }
+            });
+
+            const _private = {};
+            store.set(this, _private);
+
             _private._schema = schema;
-            _private._transport = Util.getTransport(client, connectionConfig, schema);
+            _private._client = client;
+            _private._connectTimeout = _.get(options, "connectTimeout", 30);
+
+            // a new transport, keeping the reason its pool could not connect (see `_connect`)
+            _private._newTransport = () => {
+                const transport = Util.getTransport(client, connectionConfig, schema, _private._connectTimeout);
+                _private._connectError = null;
+                if (transport.client.pool) {
+                    transport.client.pool.on("error", e => {
+                        _private._connectError = _private._connectError || e;
+                    });
+                }
+                return transport;
+            };
+
+            _private._transport = _private._newTransport();
 
             _private._logger = Logging.getLogger(util.format("[SchemaManager/ %s]", schema));
-            _private._revisionTbl = "schema_version";
+            _private._tableSchema = options.tableSchema || schema;
+            _private._revisionTbl = options.table || "schema_version";
             _private._revisionTblColumns = [
                 "version",
                 "description",
@@ -45,11 +376,49 @@ const SchemaManager = ((() => {
                 "installation_time",
                 "execution_time",
                 "status",
-                "reason"
+                "reason",
+                "placeholders",
+                "checksum_algorithm",
+                "tool_version",
+                "execution_user"
             ];
+            _private._lockTbl = _private._revisionTbl + "_lock";
+            _private._metadataTbl = _private._revisionTbl + "_metadata";
+            _private._snapshotTbl = _private._revisionTbl + "_snapshot";
+            _private._lockTimeout = _.get(options, "lockTimeout", 60);
+            _private._connectRetries = _.get(options, "connectRetries", 0);
+            _private._statementTimeout = _.get(options, "statementTimeout", 0);
+            _private._connection = null;
+            _private._cleanDisabled = !!options.cleanDisabled;
+            _private._production = !!options.production;
+            _private._baselineOnMigrate = !!options.baselineOnMigrate;
+            _private._baselineVersion = Util.parseVersion(String(_.get(options, "baselineVersion", "1")));
+            _private._allowOutOfOrder = !!options.outOfOrder;
+            _private._placeholders = _.assign({}, options.placeholders, {schema});
+            _private._callbacks = _.assign({}, options.callbacks);
+            _private._lockOwner = util.format("%s:%s:%s", os.hostname(), process.pid, ++instances);
+            _private._executionUser = (() => {
+                try {
+                    return os.userInfo().username;
+                } catch (e) {
+                    return null;
+                }
+            })();
+
+            // emit an event about the managed schema
+            _private._emit = (event, data) => this.emit(event, _.assign({schema: _private._schema}, data));
+
+            // details of a migration script in events, scripts run outside of a version step have the first rank
+            _private._describe = migration => _.assign(
+                _.pick(migration, ["version", "script", "description", "type"]),
+                {rank: migration.rank || 1}
+            );
 
-            _private._createObjects = () => _private._transport.schema
-                .withSchema(_private._schema)
+            // scope a builder to the schema of the history table, SQLite has no schemas
+            _private._scoped = builder => _private._client == "sqlite3" ?
+                builder : builder.withSchema(_private._tableSchema);
+
+            _private._createObjects = () => _private._scoped(_private._transport.schema)
                 .createTableIfNotExists(_private._revisionTbl, table => {
                     table.increments("revision");
                     table.string("version");
@@ -63,45 +432,443 @@ const SchemaManager = ((() => {
                     table.integer("execution_time");
                     table.integer("status");
                     table.text("reason");
+                    table.text("placeholders");
+                    table.string("checksum_algorithm");
+                    table.string("tool_version");
+                    table.string("execution_user");
+                })
+                .then(_private._upgradeObjects);
+
+            // whether a column of a table exists, hasColumn of MySQL ignores the schema hence the column is selected instead
+            _private._hasColumn = (tbl, column) => Promise.resolve(_private._client == "mysql" ?
+                _private._scoped(_private._transport).select(column).from(tbl).whereRaw("1 = 0").then(() => true) :
+                _private._scoped(_private._transport.schema).hasColumn(tbl, column))
+                .catch(() => false);
+
+            // version of the history table structure, 0 if it was never recorded
+            _private._getMetadataVersion = () => _private._scoped(_private._transport)
+                .select("value").from(_private._metadataTbl).where("name", "version")
+                .then(rows => rows.length ? +rows[0].value : 0, () => 0);
+
+            // upgrade the structure of a history table created by an older version, in place
+            _private._upgradeObjects = () => Promise.join(
+                _private._hasColumn(_private._revisionTbl, "revision"),
+                _private._getMetadataVersion(),
+                (exists, version) => {
+                    if (!exists || version >= METADATA.length) {
+                        return;
+                    }
+                    _private._logger.debug("Upgrading `%s`.`%s` from metadata version %d to %d",
+                        _private._tableSchema, _private._revisionTbl, version, METADATA.length
+                    );
+                    return Promise.mapSeries(_.flatten(METADATA.slice(version)), column =>
+                        _private._hasColumn(_private._revisionTbl, column).then(has => has ||
+                            _private._scoped(_private._transport.schema).table(_private._revisionTbl, table => {
+                                // long text columns, the others fit in a string
+                                if (column == "placeholders") {
+                                    table.text(column);
+                                } else {
+                                    table.string(column);
+                                }
+                            })))
+                        .then(() => _private._scoped(_private._transport.schema)
+                            .createTableIfNotExists(_private._metadataTbl, table => {
+                                table.string("name").primary();
+                                table.string("value");
+                            }))
+                        .then(() => _private._scoped(_private._transport)
+                            .del().from(_private._metadataTbl).where("name", "version"))
+                        .then(() => _private._scoped(_private._transport)
+                            .insert({name: "version", value: String(METADATA.length)}).into(_private._metadataTbl));
                 });
 
+            // processes which start together race to create the lock table, and `create table if not exists`
+            // may fail for all but one (e.g. a unique violation of the catalog in PostgreSQL), hence the
+            // table is checked for and the creation retried.
+            _private._createLockObjects = retries => Promise.resolve(_private._scoped(_private._transport.schema)
+                .createTableIfNotExists(_private._lockTbl, table => {
+                    table.integer("id").primary();
+                    table.string("locked_by");
+                    table.string("operation");
+                    table.dateTime("locked_at");
+                }))
+                .catch(e => Promise.delay(100 + Math.floor(Math.random() * 400))
+                    .then(() => _private._scoped(_private._transport)
+                        .select("id").from(_private._lockTbl).whereRaw("1 = 0"))
+                    .catch(() => {
+                        if ((retries || 0) >= 3) {
+                            throw e;
+                        }
+                        _private._logger.debug("Could not create the lock table (%s), retrying", e.message);
+                        return _private._createLockObjects((retries || 0) + 1);
+                    }));
+
+            // read the migration lock, if any
+            _private._getLock = () => _private._scoped(_private._transport)
+                .select("locked_by", "operation", "locked_at").from(_private._lockTbl)
+                .where("id", 1)
+                .then(_.first)
+                .catch(e => {
+                    // lock objects were never created, hence there is no lock
+                    if (_private._logger.isLevelEnabled("DEBUG")) {
+                        _private._logger.error(e);
+                    }
+                });
+
+            // check that the database is reachable, retrying with an exponential backoff
+            _private._connect = () => {
+                // the connect timeout is enforced by the pool (see `Util.getTransport`), which gives up on
+                // a database it never reached: its pending queries fail as "Pool was destroyed", while
+                // the reason is reported by the pool itself.
+                const attempt = retry => Promise.resolve(_private._transport.raw("select 1"))
+                    .catch(e => {
+                        const reason = (_private._connectError || e).message;
+                        if (retry >= _private._connectRetries) {
+                            throw new Error(util.format(
+                                "Could not connect to the database of `%s` after %d attempt(s): %s",
+                                _private._schema, retry + 1, reason)
+                            );
+                        }
+                        const delay = Math.min(1000 * Math.pow(2, retry), MAX_CONNECT_DELAY);
+                        _private._emit("connect:retry", {error: reason, attempt: retry + 1, delay});
+                        // start over with a new transport, once the pool of the previous one is closed
+                        return Promise.delay(delay)
+                            .then(() => _private._transport.destroy())
+                            .then(() => {
+                                _private._transport = _private._newTransport();
+                                return attempt(retry + 1);
+                            });
+                    });
+
+                // connect once, unless the connection failed
+                if (!_private._connection) {
+                    _private._connection = attempt(0).catch(e => {
+                        _private._connection = null;
+                        throw e;
+                    });
+                }
+                return _private._connection;
+            };
+
+            // take the migration lock, waiting for it to be released by others
+            _private._lock = operation => {
+                const deadline = Date.now() + _private._lockTimeout * 1000;
+
+                const attempt = () => _private._scoped(_private._transport)
+                    .insert({
+                        id: 1,
+                        locked_by: _private._lockOwner,
+                        operation,
+                        locked_at: new Date
+                    }).into(_private._lockTbl)
+                    .catch(e => _private._getLock().then(lock => {
+                        if (!lock) {
+                            throw e;
+                        }
+                        if (Date.now() >= deadline) {
+                            throw new Error(util.format(
+                                "Schema `%s` is locked by %s (%s) since %s. " +
+                                "Run `db-migrate unlock` to release a stale lock.",
+                                _private._schema, lock.locked_by, lock.operation, lock.locked_at)
+                            );
+                        }
+                        return Promise.delay(1000).then(attempt);
+                    }));
+
+                _private._logger.debug("Taking lock of `%s` for %s", _private._schema, operation);
+                return _private._createLockObjects().then(attempt);
+            };
+
+            // release the migration lock
+            _private._unlock = owner => {
+                let query = _private._scoped(_private._transport)
+                    .del().from(_private._lockTbl)
+                    .where("id", 1);
+                if (owner) {
+                    query = query.andWhere("locked_by", owner);
+                }
+                return query;
+            };
+
+            // run an operation while holding the migration lock
+            _private._locked = (operation, fn) => _private._connect()
+                .then(() => _private._lock(operation))
+                .then(() => Promise.try(_private._upgradeObjects).then(fn)
+                    .finally(() => {
+                        _private._logger.debug("Releasing lock of `%s`", _private._schema);
+                        return _private._unlock(_private._lockOwner);
+                    }));
+
             // reset objects
             _private._deleteObjects = () => {
-                _private._logger.info("Deleting objects in `%s`.`%s`",
-                    _private._schema, _private._revisionTbl
+                _private._logger.debug("Deleting objects in `%s`.`%s`",
+                    _private._tableSchema, _private._revisionTbl
                 );
-                return _private._transport
-                    .withSchema(_private._schema)
+                return _private._scoped(_private._transport)
                     .del("*").from(_private._revisionTbl);
             };
 
             // drop objects from DB
             _private._dropObjects = () => {
-                _private._logger.info("Dropping objects in `%s`", _private._schema);
-                return _private._transport.schema
-                    .withSchema(_private._schema)
-                    .dropTableIfExists(_private._revisionTbl);
+                _private._logger.debug("Dropping objects in `%s`", _private._schema);
+                return Promise.resolve(_private._scoped(_private._transport.schema)
+                    .dropTableIfExists(_private._revisionTbl))
+                    .then(() => _private._scoped(_private._transport.schema)
+                        .dropTableIfExists(_private._metadataTbl))
+                    .then(() => _private._scoped(_private._transport.schema)
+                        .dropTableIfExists(_private._snapshotTbl));
+            };
+
+            // create the table of schema snapshots
+            _private._createSnapshotObjects = () => _private._scoped(_private._transport.schema)
+                .createTableIfNotExists(_private._snapshotTbl, table => {
+                    table.string("version");
+                    table.text("snapshot", "longtext");
+                    table.dateTime("created_at");
+                    table.string("created_by");
+                });
+
+            // read the latest snapshot of a version
+            _private._getSnapshot = version => _private._scoped(_private._transport)
+                .select("*").from(_private._snapshotTbl)
+                .where("version", version)
+                .orderBy("created_at", "desc")
+                .then(_.first)
+                // snapshot objects were never created, hence there is no snapshot
+                .catch(() => undefined);
+
+            // tables of the tool which are kept in the managed schema
+            _private._toolTables = () => _private._client == "sqlite3" || _private._tableSchema == _private._schema ?
+                [_private._revisionTbl, _private._lockTbl, _private._metadataTbl, _private._snapshotTbl] : [];
+
+            // whether the managed schema has no objects, but the tables of the tool
+            _private._isEmpty = () => {
+                const dialect = CLEAN[_private._client];
+                const tools = _private._toolTables();
+
+                if (!dialect) {
+                    return Promise.reject(new Error(`Reading objects is not supported by ${_private._client}`));
+                }
+                return Promise.resolve(dialect.list(_private._transport, _private._schema))
+                    .then(objects => _.every(objects, o => o.type == "TABLE" && tools.indexOf(o.name) >= 0));
+            };
+
+            // capture the structure of the managed schema, without the tables of the tool
+            _private._capture = () => {
+                const capture = CATALOG[_private._client];
+                const tools = _private._toolTables();
+
+                if (!capture) {
+                    return Promise.reject(new Error(`Snapshot is not supported by ${_private._client}`));
+                }
+
+                _private._logger.debug("Reading structure of `%s`", _private._schema);
+                return Promise.resolve(capture(_private._transport, _private._schema))
+                    .then(result => _.assign(result, {tables: _.omit(result.tables, tools)}));
+            };
+
+            // drop every object of the managed schema but the migration lock, in one transaction
+            _private._cleanObjects = () => {
+                const dialect = CLEAN[_private._client];
+                const lockSchema = _private._client == "sqlite3" ? _private._schema : _private._tableSchema;
+
+                if (!dialect) {
+                    return Promise.reject(new Error(`Clean is not supported by ${_private._client}`));
+                }
+
+                _private._logger.debug("Dropping all objects in `%s`", _private._schema);
+                return _private._transport.transaction(trx => Promise.resolve(dialect.list(trx, _private._schema))
+                    .then(objects => _.reject(objects, o => o.type == "TABLE" &&
+                        o.name == _private._lockTbl && lockSchema == _private._schema))
+                    .tap(objects => Promise.mapSeries(
+                        [].concat(dialect.before, _.map(objects, o => dialect.drop(_private._schema, o)), dialect.after),
+                        statement => {
+                            _private._logger.debug(statement);
+                            return trx.raw(statement);
+                        })));
+            };
+
+            // write the base version to the history
+            _private._baseline = (version, description) => _private._addObject({
+                version,
+                script: "baseline",
+                description: description || "Base version",
+                type: "SQL",
+                installed_by: os.hostname(),
+                installed_rank: 1,
+                installation_time: new Date,
+                execution_time: 0,
+                status: 0
+            }).then(() => _private._emit("baseline", {version, description: description || "Base version"}));
+
+            // adopt a schema with no history on migrate (see `baselineOnMigrate`), resolves with the
+            // revision to migrate from. Scripts up to the base version are recorded as applied, as the
+            // existing objects reflect them. Nothing is written by a dry run.
+            _private._adopt = (revision, directory, dryRun) => {
+                if (!_private._baselineOnMigrate || revision.version.toLowerCase() != "unknown") {
+                    return Promise.resolve(revision);
+                }
+                return _private._getHistory().catch(() => [])
+                    .then(history => {
+                        // failed executions with no base version are left to `repair`
+                        if (!_.isEmpty(history)) {
+                            return revision;
+                        }
+                        return _private._isEmpty().then(empty => {
+                            if (empty) {
+                                _private._logger.debug("Schema `%s` is empty, migrating from scratch", _private._schema);
+                                return Promise.resolve(dryRun || _private._createObjects())
+                                    .return(_.assign({}, revision, {adopted: true}));
+                            }
+                            _private._logger.debug("Schema `%s` has objects but no history, baselining it to version %s",
+                                _private._schema, _private._baselineVersion
+                            );
+                            const baselined = Util.discovery(directory)
+                                .filter(step => Util.compareVersion(step[0].version, _private._baselineVersion) <= 0)
+                                // ranks follow the base version itself, which is the first of its version
+                                .map(step => _.map(step, (migration, idx) => _.assign(migration, {
+                                    rank: idx + (Util.compareVersion(migration.version, _private._baselineVersion) ? 1 : 2)
+                                })))
+                                .then(_.flatten);
+                            if (dryRun) {
+                                return baselined.then(scripts => _.assign({}, revision, {
+                                    version: _private._baselineVersion,
+                                    adopted: true,
+                                    baselined: _.pluck(scripts, "script")
+                                }));
+                            }
+                            return baselined.then(scripts => _private._createObjects()
+                                .then(() => _private._baseline(_private._baselineVersion))
+                                .then(() => Promise.mapSeries(scripts, migration => {
+                                    const now = new Date;
+                                    return _private._record(migration, now, now, STATUS.OK, "Adopted by baselineOnMigrate");
+                                }))
+                                .then(() => this.revision())
+                                .then(result => _.assign(result, {adopted: true, baselined: _.pluck(scripts, "script")})));
+                        });
+                    });
             };
 
             // read objects from DB
             _private._getObjects = () => {
-                _private._logger.info("Reading objects from `%s`.`%s`", _private._schema, _private._revisionTbl);
-                return _private._transport
-                    .withSchema(_private._schema)
+                _private._logger.debug("Reading objects from `%s`.`%s`", _private._tableSchema, _private._revisionTbl);
+                return _private._scoped(_private._transport)
                     .select("*").from(_private._revisionTbl)
+                    .whereNotNull("version")
                     .then(_.partialRight(_.groupBy, "version"))
+                    // executions of a version which was undone afterwards are no longer relevant
+                    .then(_.partialRight(_.mapValues, value => {
+                        const undone = _.max(_.pluck(_.filter(value, {status: STATUS.UNDONE}), "revision"));
+                        return _.filter(value, o => o.revision > undone);
+                    }))
+                    .then(_.partialRight(_.omit, _.isEmpty))
                     .then(_.partialRight(_.mapValues, value => _.sortBy(value, "installed_rank")));
             };
 
+            // read executions of repeatable scripts from DB
+            _private._getRepeatables = () => {
+                _private._logger.debug("Reading repeatable objects from `%s`.`%s`", _private._tableSchema, _private._revisionTbl);
+                return _private._scoped(_private._transport)
+                    .select("*").from(_private._revisionTbl)
+                    .whereNull("version")
+                    .then(_.partialRight(_.sortBy, "revision"));
+            };
+
+            // repeatable scripts which changed since their last successful execution
+            _private._pendingRepeatables = directory => Promise.join(
+                // a schema with no history table has no executions
+                _private._getRepeatables().catch(() => []),
+                Util.repeatableDiscovery(directory),
+                (objects, scripts) => {
+                    const applied = _.indexBy(_.filter(objects, {status: STATUS.OK}), "script");
+                    return _.filter(scripts,
+                        script => !applied[script.script] || applied[script.script].checksum != script.checksum);
+                });
+
+            // read all objects from DB, in order of execution
+            _private._getHistory = () => _private._scoped(_private._transport)
+                .select("*").from(_private._revisionTbl)
+                .orderBy("revision");
+
+            // scripts lower than the current version which were never applied, grouped by version
+            _private._outOfOrderSteps = (directory, targetVersion, revision) => Promise.join(
+                _private._getObjects(),
+                Util.discovery(directory, targetVersion).then(_.flatten),
+                (objects, scripts) => {
+                    const history = _.flatten(_.values(objects));
+                    const baseline = _.find(history, {script: "baseline"});
+                    const known = _.pluck(history, "script");
+
+                    return _.chain(scripts)
+                        .filter(script => known.indexOf(script.script) < 0 &&
+                            Util.compareVersion(script.version, revision.version) < 0 &&
+                            (!baseline || Util.compareVersion(script.version, baseline.version) == 1))
+                        .groupBy("version")
+                        .thru(versions => {
+                            const ver = _.keys(versions);
+                            ver.sort(Util.compareVersion);
+                            return _.map(ver, version => {
+                                // rank follows the scripts which were already applied to the version
+                                const rank = _.max(_.pluck(objects[version], "installed_rank").concat(0));
+                                return _.map(versions[version], (migration, idx) => _.assign(migration, {
+                                    rank: rank + idx + 1
+                                }));
+                            });
+                        })
+                        .value();
+                });
+
+            // scripts to run on top of a revision, grouped by version
+            _private._pending = (directory, targetVersion, revision, outOfOrder) => Promise.join(
+                outOfOrder ? _private._outOfOrderSteps(directory, targetVersion, revision) : [],
+                // scripts which were applied in any version are not pending, whatever the current version
+                _private._getObjects().catch(() => ({}))
+                    .then(objects => _.pluck(_.filter(_.flatten(_.values(objects)), {status: STATUS.OK}), "script"))
+                    .then(applied => Util.discovery(
+                        directory, targetVersion,
+                        revision.version.toLowerCase() == "unknown" ? undefined : revision.version,
+                        // failed scripts are not excluded, they run again
+                        _.union(_.get(revision, "baselined", []), applied)
+                    )),
+                _private._pendingRepeatables(directory),
+                // out of order scripts run first, repeatable scripts run after all versioned scripts
+                (lower, steps, repeatables) => lower.concat(steps, _.isEmpty(repeatables) ? [] : [repeatables])
+            );
+
+            // pending steps within a target (see `Util.parseTarget`), repeatable scripts follow the versioned steps.
+            // out of order steps (lower than the current version) are not counted by `next`/`+N`, they all run first
+            _private._select = (steps, target, revision) => {
+                const current = revision.version.toLowerCase() == "unknown" ? undefined : revision.version;
+                const versioned = _.filter(steps, step => step[0].version);
+                const repeatables = _.reject(steps, step => step[0].version);
+                const lower = current ?
+                    _.filter(versioned, step => Util.compareVersion(step[0].version, current) < 0) : [];
+                const upper = _.difference(versioned, lower);
+                const below = target.from ?
+                    _.filter(versioned, step => Util.compareVersion(step[0].version, target.from) < 0) : [];
+
+                // skipped versions would be left behind, as lower than the current version
+                if (!_.isEmpty(below)) {
+                    throw new Error(util.format(
+                        "Found %d pending version(s) lower than `from` (%s): %s. Migrate them first.",
+                        below.length, target.from, _.map(below, step => step[0].version).join(", "))
+                    );
+                }
+                return lower.concat(target.steps ? _.take(upper, target.steps) : upper, repeatables);
+            };
+
             // write object to DB
             _private._addObject = obj => {
-                const ov = _private._parseObject(obj);
-                _private._logger.info(
+                const ov = _private._parseObject(_.defaults(obj, {
+                    checksum_algorithm: _.isNumber(obj.checksum) ? "crc32" : null,
+                    tool_version: pkginfo.version,
+                    execution_user: _private._executionUser
+                }));
+                _private._logger.debug(
                     "Saving object %s/%s to `%s`.`%s`",
-                    ov.version, ov.script, _private._schema, _private._revisionTbl
+                    ov.version || "R", ov.script, _private._tableSchema, _private._revisionTbl
                 );
-                return _private._transport
-                    .withSchema(_private._schema)
+                return _private._scoped(_private._transport)
                     .insert(ov).into(_private._revisionTbl);
             };
 
@@ -111,18 +878,214 @@ const SchemaManager = ((() => {
                 if (!_.isObject(obj)) {
                     throw new Error(`Expected an object but got: ${typeof(obj)}`);
                 }
-                // ensure object version is in the right format
-                obj.version = Util.parseVersion(obj.version);
+                // ensure object version is in the right format, repeatable objects have no version
+                obj.version = obj.version === null ? null : Util.parseVersion(obj.version);
                 return _.pick(obj, _private._revisionTblColumns);
             };
 
-            // run migration script
-            _private._migration = migration => {
-                let end;
+            // run `fn` with a knex instance bound to a single connection of the pool, so session
+            // settings (e.g. `SET search_path`) hold for every statement of a non-transactional script
+            _private._session = fn => {
+                const client = _private._transport.client;
+                return Promise.using(
+                    Promise.resolve(client.acquireConnection())
+                        .disposer(connection => client.releaseConnection(connection)),
+                    connection => {
+                        // same as the client of a knex transaction, with a connection which is not released
+                        const session = _.assign(Object.create(client.constructor.prototype),
+                            _.pick(client, ["config", "driver", "connectionSettings", "defaultReturning", "searchPath"]));
+                        session.acquireConnection = () => Promise.resolve(connection);
+                        session.releaseConnection = () => Promise.resolve();
+                        return fn(client.makeKnex(session));
+                    });
+            };
+
+            // run SQL one statement at a time, so a failure points to its statement
+            _private._sql = (trx, query) => Promise.mapSeries(
+                Util.splitStatements(query, _private._client),
+                (statement, idx) => Promise.resolve(trx.schema.raw(statement.sql)).catch(e => {
+                    let reason = util.format("Statement %d (line %d) failed: %s",
+                        idx + 1, statement.line, e.message);
+                    // some clients already include the statement in their errors
+                    if (e.message.indexOf(statement.sql) < 0) {
+                        reason += "\n" + statement.sql;
+                    }
+                    throw new Error(reason);
+                })
+            );
+
+            // run the callback scripts of an event from `directory`, then its callback function
+            _private._callback = (event, directory, knex, migration, error) => {
+                const context = {
+                    event,
+                    schema: _private._schema,
+                    migration: migration && _.pick(migration, ["version", "rank", "script", "description", "type", "checksum"]),
+                    error,
+                    placeholders: _.assign({}, _private._placeholders, {event}, migration && {
+                        "migration_version": migration.version || "",
+                        "migration_script": migration.script,
+                        "migration_description": migration.description
+                    })
+                };
+
+                knex = knex || _private._transport;
+
+                return Promise.resolve(directory ? Util.callbackDiscovery(directory, event) : [])
+                    .mapSeries(callback => {
+                        _private._logger.debug("Running callback %s", callback.script);
+                        if (callback.type == "SQL") {
+                            return fs.readFileAsync(callback.path, "utf8")
+                                .then(query => _private._sql(knex, Util.replacePlaceholders(query, context.placeholders)));
+                        }
+                        return require(callback.path)(knex, context);
+                    })
+                    .then(() => _private._callbacks[event] && _private._callbacks[event](knex, context))
+                    .catch(e => {
+                        throw new Error(util.format("Callback `%s` failed: %s", event, e.message));
+                    });
+            };
+
+            // run an operation between its lifecycle callbacks (e.g. beforeMigrate, afterMigrate, afterMigrateError)
+            _private._lifecycle = (operation, directory, fn) => {
+                const name = _.capitalize(operation);
+                return _private._callback("before" + name, directory)
+                    .then(fn)
+                    .then(
+                        result => _private._callback("after" + name, directory).return(result),
+                        e => _private._callback("after" + name + "Error", directory, undefined, undefined, e)
+                            .catch(err => _private._logger.error(err.message))
+                            .then(() => {
+                                throw e;
+                            })
+                    );
+            };
+
+            // execute migration script on a transaction
+            _private._execute = (trx, migration) => {
                 let exec;
+
+                if (migration.type == "SQL") {
+                    return fs.readFileAsync(migration.path, "utf8")
+                        .then(query => _private._sql(trx, Util.replacePlaceholders(query, _private._placeholders)));
+                } else if (migration.type == "Node.js") {
+                    try {
+                        exec = require(migration.path);
+                        // a module can either export a function or an {up, down} pair
+                        if (typeof exec != "function") {
+                            exec = migration.undo ? exec.down : exec.up;
+                        } else if (migration.undo) {
+                            exec = undefined;
+                        }
+                        if (typeof exec != "function")
+                            throw new Error;
+                    } catch (e) {
+                        throw new Error(
+                            `Migration script could not be loaded as \`Node.js\` source from: ${migration.path}`
+                        );
+                    }
+                    return exec(trx, _.clone(_private._placeholders));
+                } else {
+                    throw new Error(
+                        `Invalid migration script type, expected type to be SQL / Node.js but got: ${migration.type}`
+                    );
+                }
+            };
+
+            // placeholders a migration script refers to, fails on placeholders with no value
+            _private._resolvePlaceholders = migration => {
+                if (migration.type != "SQL") {
+                    // Node.js scripts receive all placeholders
+                    return Promise.resolve(_.clone(_private._placeholders));
+                }
+                return fs.readFileAsync(migration.path, "utf8")
+                    .then(content => {
+                        const names = Util.findPlaceholders(content);
+                        const unresolved = _.filter(names, name => !_.has(_private._placeholders, name));
+                        if (!_.isEmpty(unresolved)) {
+                            throw new Error(util.format(
+                                "Unresolved placeholder(s) in %s: %s. Set them in `placeholders` " +
+                                "of the configuration or with `-p key=value`.", migration.script, unresolved.join(", "))
+                            );
+                        }
+                        return _.pick(_private._placeholders, names);
+                    });
+            };
+
+            // resolve placeholders of every script, before any of them runs
+            _private._checkPlaceholders = migrations => Promise.mapSeries(migrations, migration =>
+                _private._resolvePlaceholders(migration).then(placeholders => {
+                    migration.placeholders = placeholders;
+                    return migration;
+                }));
+
+            // whether a migration script runs in a transaction, scripts opt out by a header
+            // comment (SQL) or by exporting `transaction = false` (Node.js)
+            _private._transactional = migration => {
+                if (migration.type == "SQL") {
+                    return fs.readFileAsync(migration.path, "utf8")
+                        .then(content => !_.some(
+                            _.takeWhile(content.split(/\r?\n/), line => /^\s*(--.*)?$/.test(line)),
+                            line => NO_TRANSACTION.test(line)
+                        ));
+                }
+                return Promise.try(() => require(migration.path).transaction !== false)
+                    // loading errors are reported on execution
+                    .catch(() => true);
+            };
+
+            // statement timeout of a migration script in seconds, scripts override the default
+            // by a header comment (SQL) or by exporting `timeout` (Node.js)
+            _private._timeout = migration => {
+                if (migration.type == "SQL") {
+                    return fs.readFileAsync(migration.path, "utf8")
+                        .then(content => {
+                            const header = _.takeWhile(content.split(/\r?\n/), line => /^\s*(--.*)?$/.test(line));
+                            const match = _.find(_.map(header, line => TIMEOUT.exec(line)));
+                            return match ? Number(match[1]) : _private._statementTimeout;
+                        });
+                }
+                return Promise.try(() => {
+                    const timeout = require(migration.path).timeout;
+                    return _.isUndefined(timeout) ? _private._statementTimeout : Number(timeout);
+                })
+                    // loading errors are reported on execution
+                    .catch(() => _private._statementTimeout);
+            };
+
+            // run `fn` with the statement timeout of a migration script set on its transaction
+            _private._withTimeout = (trx, migration, fn) => _private._timeout(migration).then(seconds => {
+                const statements = TIMEOUTS[_private._client];
+
+                if (!seconds) {
+                    return fn();
+                }
+                if (!statements) {
+                    _private._emit("warning", {message: util.format(
+                        "Statement timeout is not supported by %s, ignoring it for %s", _private._client, migration.script
+                    )});
+                    return fn();
+                }
+
+                const set = sql => Promise.mapSeries(sql, statement => trx.raw(statement));
+                return set(statements(seconds))
+                    .then(fn)
+                    // restore the defaults for the next script of the transaction, PostgreSQL
+                    // restores them on rollback while MySQL keeps them on the connection
+                    .tap(() => set(statements()))
+                    .catch(e => Promise.resolve(_private._client == "mysql" && set(statements()))
+                        .catch(() => null)
+                        .then(() => {
+                            throw e;
+                        }));
+            });
+
+            // run migration script, with the callbacks of `directory`
+            _private._migration = (migration, directory) => {
+                let end;
                 let reason;
                 const start = new Date;
                 let status = 0;
+                let transactional = true;
 
                 if (!migration) {
                     throw new Error("Migration was called with no arguments.");
@@ -132,212 +1095,993 @@ const SchemaManager = ((() => {
                     throw new Error("Migration was called with no execution path.");
                 }
 
-                return _private._transport.transaction(trx => {
+                return _private._checkPlaceholders([migration])
+                    .then(() => _private._transactional(migration))
+                    .then(result => {
+                        transactional = result;
+                        _private._emit("migration:start", _.assign(_private._describe(migration), {
+                            transaction: transactional
+                        }));
+                        const run = trx => _private._callback("beforeEachMigrate", directory, trx, migration)
+                            .then(() => _private._execute(trx, migration))
+                            .tap(() => _private._callback("afterEachMigrate", directory, trx, migration));
 
-                    _private._logger.info("Running transaction for migration script %s/%s (%s)",
-                        migration.version, migration.rank || 1, migration.script
-                    );
+                        if (!transactional) {
+                            return _private._timeout(migration).then(seconds => {
+                                if (seconds) {
+                                    _private._emit("warning", {message: util.format(
+                                        "Statement timeout is not applied to %s, which runs without a transaction",
+                                        migration.script
+                                    )});
+                                }
+                                return _private._session(run);
+                            });
+                        }
+                        return _private._transport.transaction(trx => {
 
-                    if (migration.type == "SQL") {
-                        return fs.readFileAsync(migration.path, "utf8")
-                            .then(query => //_private._logger.debug("Query execution:", query);
-                                trx.schema.raw(query));
-                    } else if (migration.type == "Node.js") {
-                        try {
-                            exec = require(migration.path);
-                            if (typeof exec != "function")
-                                throw new Error;
-                        } catch (e) {
-                            throw new Error(
-                                `Migration script could not be loaded as \`Node.js\` source from: ${migration.path}`
+                            _private._logger.debug("Running transaction for migration script %s/%s (%s)",
+                                migration.version || "R", migration.rank || 1, migration.script
                             );
-                        }
-                        return exec(trx);
-                    } else {
-                        throw new Error(
-                            `Invalid migration script type, expected type to be SQL / Node.js but got: ${migration.type}`
-                        );
-                    }
-                })
+
+                            return _private._withTimeout(trx, migration, () => run(trx));
+                        });
+                    })
                     .then(result => {
                         _private._logger.debug(
                             util.format("Migration (%s/%s) completed succesfully.",
                                 migration.version, migration.script)
                         );
+                        _private._emit("migration:success", _.assign(_private._describe(migration), {
+                            duration: new Date - start
+                        }));
                         if (_private._logger.isLevelEnabled("DEBUG")) {
                             _private._logger.debug(result);
                         }
                     })
                     .catch(e => {
                         status = 1;
-                        reason = e.message;
+                        reason = transactional ? e.message :
+                            "Failed without a transaction, the script may be partially applied. " + e.message;
+                        if (_private._logger.isLevelEnabled("DEBUG")) {
+                            _private._logger.error(e.code);
+                        }
+                        _private._emit("migration:failure", _.assign(_private._describe(migration), {
+                            error: e,
+                            duration: new Date - start
+                        }));
+                        return _private._callback("afterEachMigrateError", directory, undefined, migration, e)
+                            .catch(err => _private._logger.error(err.message))
+                            .then(() => {
+                                throw new Error(util.format(
+                                    "Migration (%s/%s) failed. Run `db-migrate info` " +
+                                    "for more details.", migration.version, migration.script)
+                                );
+                            });
+                    })
+                    .finally(() => {
+                        end = new Date;
+                        return _private._record(migration, start, end, status, reason);
+                    });
+            };
+
+            // write the execution of a migration script to the history
+            _private._record = (migration, start, end, status, reason) => _private._addObject({
+                version: migration.version,
+                script: migration.script,
+                description: migration.description,
+                type: migration.type,
+                checksum: migration.checksum,
+                installed_by: os.hostname(),
+                installed_rank: migration.rank || 1,
+                installation_time: start,
+                execution_time: end - start,
+                status,
+                reason,
+                placeholders: _.isEmpty(migration.placeholders) ? null : JSON.stringify(migration.placeholders)
+            });
+
+            // run migration scripts in a single transaction, with the callbacks of `directory`.
+            // history is written after commit, or a single failure row after rollback.
+            _private._atomic = (migrations, directory) => {
+                const executions = [];
+                let current;
+                let start;
+                let committed = false;
+
+                return Promise.mapSeries(migrations, migration => _private._transactional(migration)
+                    .then(transactional => {
+                        if (!transactional) {
+                            throw new Error(util.format(
+                                "Migration script %s opts out of transactions, hence it cannot run in atomic mode.",
+                                migration.script)
+                            );
+                        }
+                    }))
+                    .then(() => _private._checkPlaceholders(migrations))
+                    .then(() => _private._transport.transaction(trx => Promise.mapSeries(migrations, migration => {
+                        current = migration;
+                        start = new Date;
+                        _private._emit("migration:start", _.assign(_private._describe(migration), {
+                            transaction: true
+                        }));
+                        return _private._withTimeout(trx, migration, () =>
+                            _private._callback("beforeEachMigrate", directory, trx, migration)
+                                .then(() => _private._execute(trx, migration))
+                                .then(() => _private._callback("afterEachMigrate", directory, trx, migration)))
+                            .then(() => executions.push({migration, start, end: new Date}));
+                    })))
+                    .then(() => {
+                        committed = true;
+                        return Promise.mapSeries(executions, execution => _private._record(
+                            execution.migration, execution.start, execution.end, STATUS.OK
+                        ).then(() => _private._emit("migration:success", _.assign(
+                            _private._describe(execution.migration), {duration: execution.end - execution.start}
+                        ))));
+                    })
+                    .catch(e => {
+                        if (committed || !current) {
+                            throw e;
+                        }
+                        const end = new Date;
+                        _private._emit("migration:failure", _.assign(_private._describe(current), {
+                            error: e,
+                            duration: end - start
+                        }));
+                        return _private._record(current, start, end, STATUS.FAILED, util.format(
+                            "%s. The transaction of %d script(s) was rolled back.", e.message, migrations.length)
+                        )
+                            .then(() => _private._callback("afterEachMigrateError", directory, undefined, current, e))
+                            .catch(err => _private._logger.error(err.message))
+                            .then(() => {
+                                throw new Error(util.format(
+                                    "Migration (%s/%s) failed, %d script(s) were rolled back. " +
+                                    "Run `db-migrate info` for more details.",
+                                    current.version, current.script, migrations.length)
+                                );
+                            });
+                    });
+            };
+
+            // describe migration scripts by recording the statements they would run
+            _private._plan = migrations => Promise.mapSeries(migrations, migration => {
+                const statements = [];
+                const recorder = Util.getRecorder(_private._client, statements);
+
+                return Promise.try(() => _private._execute(recorder, migration))
+                    .then(() => Promise.join(_private._transactional(migration), _private._timeout(migration)))
+                    .spread((transaction, timeout) => ({
+                        version: migration.version,
+                        rank: migration.rank || 1,
+                        script: migration.script,
+                        type: migration.type,
+                        description: migration.description,
+                        checksum: migration.checksum,
+                        placeholders: migration.placeholders,
+                        transaction,
+                        timeout,
+                        statements
+                    }));
+            });
+
+            // find the script that reverts an applied migration
+            _private._resolveUndo = (applied, scripts, undoScripts) => {
+                const undo = _.find(undoScripts, {version: applied.version, description: applied.description});
+                const script = _.find(scripts, {script: applied.script});
+                let exec;
+
+                if (undo) {
+                    return undo;
+                }
+
+                if (script && script.type == "Node.js") {
+                    try {
+                        exec = require(script.path);
+                    } catch (e) {
+                        exec = undefined;
+                    }
+                    if (exec && typeof exec.down == "function") {
+                        return _.assign({}, script, {undo: true});
+                    }
+                }
+
+                throw new Error(util.format(
+                    "No undo script was found for migration %s/%s.", applied.version, applied.script)
+                );
+            };
+
+            // undo a version by running its undo scripts in one transaction
+            _private._undo = (version, steps) => {
+                const executions = [];
+                let failure;
+
+                return _private._transport.transaction(trx => {
+
+                    _private._logger.debug("Running transaction for undo of version %s", version);
+
+                    return Promise.mapSeries(steps, (step, idx) => {
+                        const execution = {step, rank: idx + 1, start: new Date};
+                        executions.push(execution);
+                        _private._emit("undo:start", _private._describe(_.assign({}, step, {rank: execution.rank})));
+                        return Promise.resolve(_private._execute(trx, step))
+                            .then(() => {
+                                execution.end = new Date;
+                            });
+                    });
+                })
+                    .catch(e => {
+                        failure = e;
                         if (_private._logger.isLevelEnabled("DEBUG")) {
                             _private._logger.error(e.code);
                         }
                         throw new Error(util.format(
-                            "Migration (%s/%s) failed. Run `mysql-migrate info` " +
-                            "for more details.", migration.version, migration.script)
+                            "Undo of version %s failed. Run `db-migrate info` " +
+                            "for more details.", version)
                         );
                     })
                     .finally(() => {
-                        end = new Date;
-                        return _private._addObject({
-                            version: migration.version,
-                            script: migration.script,
-                            description: migration.description,
-                            type: migration.type,
+                        // on failure, only the failed script is recorded
+                        const recorded = failure ? _.compact([_.last(executions)]) : executions;
+                        return Promise.mapSeries(recorded, execution => _private._addObject({
+                            version,
+                            script: execution.step.script,
+                            description: execution.step.description,
+                            type: execution.step.type,
+                            checksum: execution.step.checksum,
                             installed_by: os.hostname(),
-                            installed_rank: migration.rank || 1,
-                            installation_time: start,
-                            execution_time: end - start,
-                            status,
-                            reason
-                        });
+                            installed_rank: execution.rank,
+                            installation_time: execution.start,
+                            execution_time: (execution.end || new Date) - execution.start,
+                            status: failure ? STATUS.UNDO_FAILED : STATUS.UNDONE,
+                            reason: failure ? failure.message : undefined
+                        }));
                     });
             };
         }
 
+        /**
+         * Close the connection pool.
+         * @returns Promise.
+         */
         close() {
-            //return _private._transport.shutdown();
+            const _private = store.get(this);
+            return _private._transport.destroy();
         }
 
-        clean() {
-            return _private._dropObjects();
+        /**
+         * Drop all objects in the managed schema: tables, views, sequences, functions, procedures,
+         * triggers and types (as supported by the client), and the history table.
+         * Fails when `cleanDisabled` or `production` is set.
+         * @param options: Object, optional.
+         *                 - directory: String/Array, location(s) of the callback scripts (e.g. beforeClean.sql).
+         * @returns Promise{Array}, dropped objects [{type, name}].
+         */
+        clean(options) {
+            const _private = store.get(this);
+            const directory = _.get(options, "directory");
+
+            if (_private._cleanDisabled) {
+                return Promise.reject(new Error(util.format(
+                    "Clean is disabled for schema `%s` (see `cleanDisabled`).", _private._schema)
+                ));
+            }
+            if (_private._production) {
+                return Promise.reject(new Error(util.format(
+                    "Refusing to clean schema `%s`, it belongs to a production environment (see `production`).",
+                    _private._schema)
+                ));
+            }
+
+            const run = () => _private._cleanObjects()
+                .tap(_private._dropObjects)
+                .tap(objects => _private._emit("clean", {
+                    objects: _.map(objects, o => _.pick(o, ["type", "name"]))
+                }));
+            return _private._locked("clean", () => _private._lifecycle("clean", directory, run));
+        }
+
+        /**
+         * Release the migration lock, regardless of its owner.
+         * Use it to release a stale lock of an operation which did not complete.
+         * @returns Promise{Object}, the released lock or undefined if schema was not locked.
+         */
+        unlock() {
+            const _private = store.get(this);
+            return _private._connect()
+                .then(_private._getLock)
+                .then(lock => {
+                    if (!lock) {
+                        return;
+                    }
+                    _private._logger.debug("Releasing lock of `%s` held by %s (%s) since %s",
+                        _private._schema, lock.locked_by, lock.operation, lock.locked_at
+                    );
+                    return _private._unlock().then(() => lock);
+                });
         }
 
         /**
          * Creates a base version for all future DB migrations.
+         * The history of a schema is deleted by a new base version, hence it requires `force`.
          * @param baseVersion: String, base version.
          * @param description: String, optional. description of the base version.
-         * @returns Promise{Object}.
+         * @param options: Object, optional.
+         *                 - directory: String/Array, location(s) of the callback scripts (e.g. afterBaseline.sql).
+         *                 - force: Boolean, replace the history of a schema which already has one.
+         * @returns Promise.
          */
-        baseline(baseVersion, description) {
+        baseline(baseVersion, description, options) {
+            const _private = store.get(this);
             const self = this;
             const version = Util.parseVersion(baseVersion);
-            return _private._createObjects().bind(self)
+            const directory = _.get(options, "directory");
+            const run = () => _private._getHistory().catch(() => []).bind(self)
+                .then(history => {
+                    if (!_.isEmpty(history) && !_.get(options, "force")) {
+                        throw new Error(util.format(
+                            "Schema `%s` already has a history of %d execution(s), which a new base version " +
+                            "would delete. Use `force` (`--force`) to baseline it anyway.",
+                            _private._schema, history.length)
+                        );
+                    }
+                })
+                .then(_private._createObjects)
                 .then(_private._deleteObjects)
-                .then(() => _private._addObject({
-                    version,
-                    script: "baseline",
-                    description: description || "Base version",
-                    type: "SQL",
-                    installed_by: os.hostname(),
-                    installed_rank: 1,
-                    installation_time: new Date,
-                    execution_time: 0,
-                    status: 0
-                }));
+                .then(() => _private._baseline(version, description));
+
+            return _private._locked("baseline", () => _private._lifecycle("baseline", directory, run));
         }
 
         /**
-         * Show information about schema version.
+         * Show information about schema version, the latest
+         * execution of every repeatable script and the migration lock.
+         * The version is "Unknown" when the schema has no history, while
+         * a database which is not reachable fails the promise.
          * @returns Promise{Object}
          */
         revision() {
+            const _private = store.get(this);
             const self = this;
             const result = {};
 
-            return _private._getObjects().bind(self)
-                .then(objects => {
-                    let latest = "Unknown", tmp, migrations = [];
+            return _private._connect()
+                // a schema with no history has an unknown version, unlike an unreachable database
+                .then(() => _private._getObjects().bind(self)
+                    .then(objects => {
+                        let latest = "Unknown", tmp, migrations = [];
+                        const versions = _.keys(objects);
 
-                    _.each(_.keys(objects), version => {
-                        tmp = _.map(objects[version],
-                            _.partialRight(_.pick, [
+                        // the current version is the highest one applied, even when lower versions ran out of order
+                        versions.sort(Util.compareVersion);
+                        _.each(versions, version => {
+                            tmp = _.map(objects[version],
+                                _.partialRight(_.pick, [
+                                    "script",
+                                    "description",
+                                    "execution_time",
+                                    "status",
+                                    "reason"
+                                ])
+                            );
+                            if (_.find(tmp, {status: 0})) {
+                                latest = version;
+                                migrations = tmp;
+                            } else {
+                                _.forEach(tmp, tmpItem => {
+                                    migrations.push(tmpItem);
+                                });
+                            }
+                        });
+                        result.version = latest;
+                        result.migrations = migrations;
+                        return _private._getRepeatables();
+                    })
+                    .then(objects => {
+                        // latest execution of every repeatable script
+                        result.repeatables = _.chain(objects)
+                            .indexBy("script")
+                            .values()
+                            .map(_.partialRight(_.pick, [
                                 "script",
                                 "description",
+                                "checksum",
                                 "execution_time",
                                 "status",
                                 "reason"
-                            ])
-                        );
-                        if (_.find(tmp, {status: 0})) {
-                            latest = version;
-                            migrations = tmp;
-                        } else {
-                            _.forEach(tmp, tmpItem => {
-                                migrations.push(tmpItem);
-                            });
+                            ]))
+                            .value();
+                    })
+                    .catch(e => {
+                        if (_private._logger.isLevelEnabled("DEBUG")) {
+                            _private._logger.error(e);
+                        }
+                        result.version = "Unknown";
+                        result.migrations = [];
+                        result.repeatables = [];
+                    }))
+                .then(_private._getLock)
+                .then(lock => {
+                    result.lock = lock || null;
+                    return result;
+                });
+        }
+
+        /**
+         * Show information about schema version (see `revision`), its entire history
+         * and the scripts in the data directory which are pending execution.
+         *
+         * `state` summarizes the information:
+         *  - "failed": the latest execution of a script of current or higher versions failed.
+         *  - "pending": there are scripts pending execution.
+         *  - "up to date": otherwise.
+         *
+         * @param directory: String/Array, one or more locations for discovery (directories or glob patterns).
+         * @returns Promise{Object}.
+         */
+        info(directory) {
+            const _private = store.get(this);
+            const self = this;
+            const failed = o => o.status == STATUS.FAILED || o.status == STATUS.UNDO_FAILED;
+
+            return self.revision()
+                .then(revision => Promise.join(
+                    _private._getHistory().catch(() => []),
+                    _private._pending(directory, undefined, revision, _private._allowOutOfOrder).then(_.flatten),
+                    (history, pending) => {
+                        let state = "up to date";
+                        // only the latest execution of a script counts, a failure may have been repaired since
+                        const latest = _.indexBy(history, "script");
+                        const latestFailed = o => failed(latest[o.script] || o);
+
+                        if (_.some(revision.migrations, latestFailed) || _.some(revision.repeatables, failed)) {
+                            state = "failed";
+                        } else if (!_.isEmpty(pending)) {
+                            state = "pending";
+                        }
+
+                        return _.assign({}, revision, {
+                            schema: _private._schema,
+                            state,
+                            history: _.map(history, _.partialRight(_.pick, _private._revisionTblColumns)),
+                            pending: _.map(pending, _.partialRight(_.pick, [
+                                "version",
+                                "script",
+                                "description",
+                                "type",
+                                "checksum"
+                            ]))
+                        });
+                    }));
+        }
+
+        /**
+         * Show the state of every migration script, merging the scripts in the
+         * data directory with the history of the schema.
+         *
+         * The state of a script is one of the following:
+         *  - applied: executed successfully.
+         *  - out-of-order: executed successfully, after a higher version was already applied.
+         *  - failed: its execution failed.
+         *  - missing: executed, but no longer exists in the data directory.
+         *  - pending: not executed yet, `migrate` will execute it.
+         *  - ignored: not executed, its version is lower than the current version hence `migrate`
+         *             rejects it (unless `outOfOrder` is set, in which case it is pending).
+         *
+         * Repeatable scripts are pending whenever they changed since their last successful execution.
+         *
+         * @param directory: String/Array, one or more locations for discovery (directories or glob patterns).
+         * @returns Promise{Object}, {version, scripts: [{version, script, description, type, state}]}.
+         */
+        status(directory) {
+            const _private = store.get(this);
+            const self = this;
+
+            return Promise.join(
+                self.revision(),
+                _private._getObjects().catch(() => ({})),
+                _private._getRepeatables().catch(() => []),
+                Util.discovery(directory).then(_.flatten),
+                Util.repeatableDiscovery(directory),
+                (revision, objects, repeatableObjects, scripts, repeatables) => {
+                    const current = revision.version.toLowerCase() == "unknown" ? undefined : revision.version;
+                    const history = _.filter(_.flatten(_.values(objects)), o => o.script != "baseline");
+                    const applied = _.filter(history, {status: STATUS.OK});
+                    const entry = (script, state) => _.assign(
+                        _.pick(script, ["version", "script", "description", "type"]), {state}
+                    );
+                    const classify = (rows, script, pending) => {
+                        const ok = _.last(_.filter(rows, {status: STATUS.OK}));
+                        const last = _.last(rows);
+                        if (!script) {
+                            return "missing";
+                        } else if (!ok && last) {
+                            return last.status == STATUS.FAILED ? "failed" : "pending";
+                        } else if (pending) {
+                            return ok && last.status == STATUS.FAILED && last.revision > ok.revision ? "failed" : "pending";
+                        } else if (ok) {
+                            // repeatable scripts have no version, hence are never out of order
+                            return ok.version && _.some(applied,
+                                o => Util.compareVersion(o.version, ok.version) == 1 && o.revision < ok.revision) ?
+                                "out-of-order" : "applied";
+                        }
+                        return !_private._allowOutOfOrder && Util.compareVersion(script.version, current) < 0 ?
+                            "ignored" : "pending";
+                    };
+
+                    const versioned = _.chain(_.pluck(scripts, "script"))
+                        .union(_.pluck(history, "script"))
+                        .map(name => {
+                            const rows = _.sortBy(_.filter(history, {script: name}), "revision");
+                            const script = _.find(scripts, {script: name});
+                            return entry(script || _.last(rows), classify(rows, script, false));
+                        })
+                        .sort((e1, e2) => Util.compareVersion(e1.version, e2.version) || (e1.script < e2.script ? -1 : 1))
+                        .value();
+
+                    const repeatable = _.chain(_.pluck(repeatables, "script"))
+                        .union(_.pluck(repeatableObjects, "script"))
+                        .sortBy()
+                        .map(name => {
+                            const rows = _.filter(repeatableObjects, {script: name});
+                            const script = _.find(repeatables, {script: name});
+                            const ok = _.last(_.filter(rows, {status: STATUS.OK}));
+                            return entry(script || _.last(rows), classify(rows, script, !!script && (!ok || ok.checksum != script.checksum)));
+                        })
+                        .value();
+
+                    return {
+                        version: revision.version,
+                        scripts: versioned.concat(repeatable)
+                    };
+                });
+        }
+
+        /**
+         * Validate applied migrations against the scripts in the data directory.
+         *
+         * The following are reported:
+         *  - modified: applied scripts whose checksum differs from the one on disk.
+         *  - missing: applied scripts that no longer exist on disk.
+         *  - unknown: scripts on disk, lower than the current version, that were never applied.
+         *
+         * @param directory: String/Array, one or more locations for discovery (directories or glob patterns).
+         * @returns Promise{Object}.
+         */
+        validate(directory) {
+            const _private = store.get(this);
+            return Promise.join(
+                _private._getObjects(),
+                Util.discovery(directory).then(_.flatten),
+                (objects, scripts) => {
+                    const history = _.flatten(_.values(objects));
+                    const baseline = _.find(history, {script: "baseline"});
+                    const current = _.reduce(history, (latest, o) =>
+                        o.status == 0 && Util.compareVersion(o.version, latest) == 1 ? o.version : latest, undefined);
+                    const known = _.pluck(history, "script");
+                    const result = {modified: [], missing: [], unknown: []};
+
+                    _private._logger.debug("Validating `%s`.`%s` against %s", _private._tableSchema, _private._revisionTbl, directory);
+
+                    // latest successful execution of every applied script
+                    _.chain(history)
+                        .filter(o => o.status == 0 && o.script != "baseline")
+                        .sortBy("revision")
+                        .indexBy("script")
+                        .values()
+                        .each(applied => {
+                            const script = _.find(scripts, {script: applied.script});
+                            if (!script) {
+                                result.missing.push(_.pick(applied, ["version", "script"]));
+                            } else if (_.isNumber(applied.checksum) && applied.checksum != script.checksum) {
+                                result.modified.push({
+                                    version: applied.version,
+                                    script: applied.script,
+                                    applied: applied.checksum,
+                                    resolved: script.checksum
+                                });
+                            }
+                        })
+                        .value();
+
+                    _.each(scripts, script => {
+                        if (known.indexOf(script.script) < 0 &&
+                            Util.compareVersion(script.version, current) < 0 &&
+                            (!baseline || Util.compareVersion(script.version, baseline.version) == 1)) {
+                            result.unknown.push(_.pick(script, ["version", "script"]));
                         }
                     });
-                    result.version = latest;
-                    result.migrations = migrations;
-                })
-                .catch(e => {
-                    if (_private._logger.isLevelEnabled("DEBUG")) {
-                        _private._logger.error(e);
+
+                    result.valid = _.isEmpty(result.modified) && _.isEmpty(result.missing) && _.isEmpty(result.unknown);
+                    return result;
+                });
+        }
+
+        /**
+         * Record the structure of the managed schema (tables, columns, indexes, constraints and views)
+         * as the snapshot of its current version, in the snapshot table next to the history table.
+         * A snapshot replaces the earlier snapshots of the same version.
+         * @returns Promise{Object}, {version, snapshot}.
+         */
+        snapshot() {
+            const _private = store.get(this);
+            const self = this;
+
+            const run = () => self.revision()
+                .then(revision => {
+                    if (revision.version.toLowerCase() == "unknown") {
+                        throw new Error(util.format(
+                            "Schema `%s` has no history. Run `db-migrate baseline` to create a base version.",
+                            _private._schema)
+                        );
                     }
-                    result.version = "Unknown";
-                    result.migrations = [];
-                })
-                .then(() => result);
+                    if (_.some(revision.migrations, {status: STATUS.FAILED})) {
+                        throw new Error(util.format(
+                            "Schema `%s` has failed migrations. Run `db-migrate repair` before taking a snapshot.",
+                            _private._schema)
+                        );
+                    }
+                    return Promise.join(_private._capture(), _private._createSnapshotObjects(), snapshot => {
+                        const result = {version: revision.version, snapshot};
+                        return _private._scoped(_private._transport)
+                            .del().from(_private._snapshotTbl)
+                            .where("version", revision.version)
+                            .then(() => _private._scoped(_private._transport)
+                                .insert({
+                                    version: revision.version,
+                                    snapshot: JSON.stringify(snapshot),
+                                    created_at: new Date,
+                                    created_by: _private._executionUser
+                                }).into(_private._snapshotTbl))
+                            .then(() => _private._emit("snapshot", {
+                                version: revision.version,
+                                tables: _.size(snapshot.tables),
+                                views: _.size(snapshot.views)
+                            }))
+                            .return(result);
+                    });
+                });
+
+            return _private._locked("snapshot", run);
         }
 
         /**
-         * Run migration.
-         * @param directory: String, directory for discovery.
-         * @param targetVersion: String, target version for the new migration.
+         * Compare the structure of the managed schema with the snapshot of its current version (see `snapshot`),
+         * e.g. to find objects which were changed by hand rather than by a migration script.
+         * @returns Promise{Object}, {version, recordedAt, differences} (see `Util.diffSnapshots`).
          */
-        migrate(directory, targetVersion) {
+        drift() {
+            const _private = store.get(this);
             const self = this;
 
-            // get current revision
             return self.revision()
                 .then(revision => {
-                    const baseVersion = _.get(revision, "version", "Unknown");
-                    if (baseVersion.toLowerCase() == "unknown") {
-                        return Promise.reject(new Error(
-                            "Could not determine schema revision before running migration scripts. " +
-                            "It is possible that `baseline` was never executed or database is currently not reachable."
-                        ));
-                    } else {
-                        return Util.discovery(
-                            directory, targetVersion, baseVersion,
-                            _.pluck(_.get(revision, "migrations", []), "script")
+                    if (revision.version.toLowerCase() == "unknown") {
+                        throw new Error(util.format(
+                            "Schema `%s` has no history. Run `db-migrate baseline` to create a base version.",
+                            _private._schema)
                         );
                     }
+                    return Promise.join(_private._getSnapshot(revision.version), _private._capture(), (recorded, live) => {
+                        if (!recorded) {
+                            throw new Error(util.format(
+                                "No snapshot was recorded for version %s of schema `%s`. " +
+                                "Run `db-migrate snapshot` after a successful migration.",
+                                revision.version, _private._schema)
+                            );
+                        }
+                        return {
+                            version: revision.version,
+                            recordedAt: recorded.created_at,
+                            differences: Util.diffSnapshots(JSON.parse(recorded.snapshot), live)
+                        };
+                    });
+                });
+        }
+
+        /**
+         * Run migration.
+         *
+         * Repeatable scripts run after all versioned scripts, whenever their
+         * checksum differs from their last successful execution.
+         *
+         * Scripts with a version lower than the current version which were never
+         * applied fail the migration, unless `outOfOrder` is set. In that case, they run
+         * before any other script, each in its own transaction.
+         *
+         * @param directory: String/Array, one or more locations for discovery (directories or glob patterns).
+         * @param targetVersion: String, target of the migration: "latest" (default), "next" for the next
+         *                       pending version, "+N" for the next N pending versions, or a version to migrate up to.
+         * @param options: Object, optional.
+         *                 - dryRun: Boolean, return the migration plan (see `plan`) without running it.
+         *                 - from: String, lowest version to apply. Fails when lower versions are pending.
+         *                 - to: String, highest version to apply, instead of a target version.
+         *                 - outOfOrder: Boolean, overrides `outOfOrder` of the schema manager.
+         *                 - atomic: String, "version" to run every script of a version in one transaction,
+         *                           "all" to run every pending script in one transaction.
+         *                           History is written after commit, or a failure row after rollback.
+         *                           Not supported by MySQL, whose DDL statements commit implicitly.
+         */
+        migrate(directory, targetVersion, options) {
+            const _private = store.get(this);
+            const self = this;
+            let revision, reached;
+
+            options = options || {};
+
+            const outOfOrder = _.has(options, "outOfOrder") ? !!options.outOfOrder : _private._allowOutOfOrder;
+            let target;
+
+            try {
+                target = Util.parseTarget(targetVersion);
+                if (target.version && options.to) {
+                    throw new Error("Expected either a target version or `to`, but got both.");
+                }
+                target.version = target.version || (options.to ? Util.parseVersion(String(options.to)) : undefined);
+                target.from = options.from ? Util.parseVersion(String(options.from)) : undefined;
+            } catch (e) {
+                return Promise.reject(e);
+            }
+
+            if (target.from && target.version && Util.compareVersion(target.from, target.version) == 1) {
+                return Promise.reject(new Error(util.format(
+                    "Invalid range, `from` (%s) is higher than `to` (%s).", target.from, target.version)
+                ));
+            }
+
+            if (options.atomic && ["version", "all"].indexOf(options.atomic) < 0) {
+                return Promise.reject(new Error(
+                    `Invalid atomic mode \`${options.atomic}\`, expected either "version" or "all".`
+                ));
+            }
+
+            // DDL commits implicitly on MySQL, so the scripts before a failure could not be rolled back
+            if (options.atomic && ["mysql", "mariasql"].indexOf(_private._client) > -1) {
+                return Promise.reject(new Error(
+                    `Atomic mode is not supported by ${_private._client}, its DDL statements commit implicitly.`
+                ));
+            }
+
+            // get current revision
+            const run = () => self.revision()
+                .then(result => _private._adopt(result, directory, options.dryRun))
+                .then(result => {
+                    const baseVersion = _.get(result, "version", "Unknown");
+                    if (baseVersion.toLowerCase() == "unknown" && !result.adopted) {
+                        return Promise.reject(new Error(util.format(
+                            "Schema `%s` has no history. Run `db-migrate baseline` to create a base version, " +
+                            "or enable `baselineOnMigrate`.", _private._schema)
+                        ));
+                    }
+                    revision = result;
+                    // an adopted schema has no history to validate
+                    return result.adopted ? {modified: [], missing: [], unknown: []} : self.validate(directory);
+                })
+                .then(validation => {
+                    if (!_.isEmpty(validation.modified) || !_.isEmpty(validation.missing)) {
+                        return Promise.reject(new Error(util.format(
+                            "Validation failed (%d modified, %d missing). " +
+                            "Run `db-migrate validate` for more details.",
+                            validation.modified.length, validation.missing.length)
+                        ));
+                    }
+                    if (!_.isEmpty(validation.unknown) && !outOfOrder) {
+                        return Promise.reject(new Error(util.format(
+                            "Found %d script(s) with a version lower than the current version (%s) " +
+                            "which were never applied: %s. Enable `outOfOrder` to apply them.",
+                            validation.unknown.length, revision.version, _.pluck(validation.unknown, "script").join(", "))
+                        ));
+                    }
+                    return _private._pending(directory, target.version, revision, outOfOrder && !revision.adopted);
+                })
+                .then(steps => _private._select(steps, target, revision))
+                // fail on unresolved placeholders before running any script
+                .then(steps => _private._checkPlaceholders(_.flatten(steps)).return(steps))
+                .tap(steps => {
+                    // version of the schema after the migration, out of order steps leave it as it is
+                    const current = revision.version.toLowerCase() == "unknown" ? null : revision.version;
+                    const last = _.get(_.last(_.filter(steps, step => step[0].version)), [0, "version"]);
+                    reached = last && (!current || Util.compareVersion(last, current) == 1) ? last : current;
+                    _private._emit("discovery", {
+                        directory,
+                        scripts: _.map(_.flatten(steps), _private._describe),
+                        target: reached
+                    });
                 })
                 .then(steps => {
                     // no execution step found, we are done.
                     if (_.isEmpty(steps)) {
-                        _private._logger.info("No migration steps were found.");
-                        return Promise.resolve();
+                        _private._logger.debug("No migration steps were found.");
+                        return Promise.resolve(options.dryRun ? _.assign([], {target: reached}) : undefined);
+                    }
+                    // dry run, describe the steps without running them.
+                    if (options.dryRun) {
+                        return _private._plan(_.flatten(_.map(steps, step => _.map(step, (migration, idx) => {
+                            migration.rank = migration.rank || idx + 1;
+                            return migration;
+                        })))).then(plan => _.assign(plan, {target: reached}));
+                    }
+                    // increment migration installation rank within each version
+                    _.each(steps, step => _.each(step, (migration, idx) => {
+                        migration.rank = migration.rank || idx+1;
+                    }));
+
+                    // repeatable scripts have no version to complete
+                    const complete = step => step[0].version && _private._emit("version:complete", {
+                        version: step[0].version,
+                        scripts: _.map(step, _private._describe)
+                    });
+
+                    if (options.atomic == "all") {
+                        return _private._atomic(_.flatten(steps), directory)
+                            .then(() => _.each(steps, complete));
                     }
-                    // start step-by-step execution
-                    return Promise.mapSeries(steps, step => // migrate a new version by running each of th
-                        Promise.map(step, (migration, idx) => {
-                        // increment migration installation rank
-                        // and perform one step of the version
-                            migration.rank = idx+1;
-                            return _private._migration(migration);
-                        }, {concurrency: 1}));
+
+                    // start step-by-step execution, a version at a time
+                    return Promise.mapSeries(steps, step => (options.atomic == "version" ?
+                        _private._atomic(step, directory) :
+                        Promise.mapSeries(step, migration => _private._migration(migration, directory))
+                    ).tap(() => complete(step)));
                 });
+
+            // a dry run writes nothing, hence it does not need the lock nor the callbacks.
+            return options.dryRun ? run() :
+                _private._locked("migrate", () => _private._lifecycle("migrate", directory, run));
+        }
+
+        /**
+         * Describe the migration without running it.
+         *
+         * Every element of the plan contains the migration script details and
+         * the SQL statements it would run. Statements of Node.js scripts are recorded
+         * without being sent to the database, hence queries return no rows.
+         *
+         * @param directory: String/Array, one or more locations for discovery (directories or glob patterns).
+         * @param targetVersion: String, target of the migration (see `migrate`).
+         * @param options: Object, optional. same as `migrate`.
+         * @returns Promise{Array}, with `target`, the version of the schema after the migration.
+         */
+        plan(directory, targetVersion, options) {
+            return this.migrate(directory, targetVersion, _.assign({}, options, {dryRun: true}));
         }
 
         /**
          * Repair migration history failures by "rebasing" old scripts
          * on top of the current state of the schema.
-         * @param directory: String, path to data directory.
+         * @param directory: String/Array, one or more locations for discovery (directories or glob patterns).
+         * @param options: Object, optional.
+         *                 - dryRun: Boolean, return the repair plan (see `plan`) without running it.
          */
-        repair(directory) {
-            return _private._getObjects()
+        repair(directory, options) {
+            const _private = store.get(this);
+
+            options = options || {};
+
+            const run = () => _private._getObjects()
                 .then(objects => {
-                    const fixUs = _.filter(_.flatten(_.values(objects)), o => o.status > 0);
+                    const fixUs = _.filter(_.flatten(_.values(objects)), {status: STATUS.FAILED});
                     return Util.discovery(directory)
                         .then(_.flatten)
-                        .then(scripts => Promise.map(fixUs, fixIt => {
-                            const script = _.find(scripts, s => s.script == fixIt.script);
-                            if (!script) {
-                                return Promise.resolve();
-                            } else {
-                                _private._logger.info(
+                        .then(scripts => _.compact(_.map(fixUs, fixIt => _.find(scripts, s => s.script == fixIt.script))))
+                        // fail on unresolved placeholders before running any script
+                        .then(_private._checkPlaceholders)
+                        .then(repairs => {
+                            // dry run, describe the repairs without running them.
+                            if (options.dryRun) {
+                                return _private._plan(repairs);
+                            }
+                            return Promise.map(repairs, script => {
+                                _private._logger.debug(
                                     "Preparing to repair %s/%s",
-                                    fixIt.version, fixIt.script
+                                    script.version, script.script
                                 );
-                                return _private._migration(script);
-                            }
-                        }));
+                                return _private._migration(script, directory);
+                            });
+                        });
                 });
+
+            return options.dryRun ? run() :
+                _private._locked("repair", () => _private._lifecycle("repair", directory, run));
+        }
+
+        /**
+         * Undo migrations by running their undo scripts, in reverse order.
+         *
+         * Undo scripts are either scripts prefixed by "U" with the same version
+         * and description as the migration script, or a `down` function exported
+         * by a Node.js migration module.
+         *
+         * @param directory: String/Array, one or more locations for discovery (directories or glob patterns).
+         * @param targetVersion: String, optional. Versions greater than `targetVersion` will be undone.
+         *                       If omitted, only the current version will be undone.
+         * @returns Promise{Array}, the undone versions.
+         */
+        undo(directory, targetVersion) {
+            const _private = store.get(this);
+            const run = () => Promise.join(
+                _private._getObjects(),
+                Util.discovery(directory).then(_.flatten),
+                Util.undoDiscovery(directory),
+                (objects, scripts, undoScripts) => {
+                    const baseline = _.find(_.flatten(_.values(objects)), {script: "baseline"});
+                    const versions = _.filter(_.keys(objects), version => _.find(objects[version], {status: STATUS.OK}));
+                    let undoVersions;
+
+                    versions.sort(Util.compareVersion);
+
+                    if (_.isEmpty(versions)) {
+                        return Promise.reject(new Error(
+                            "Could not determine schema revision before running undo scripts. " +
+                            "It is possible that `baseline` was never executed."
+                        ));
+                    }
+
+                    if (targetVersion) {
+                        targetVersion = Util.parseVersion(targetVersion);
+                        undoVersions = _.filter(versions, version => Util.compareVersion(version, targetVersion) == 1);
+                    } else {
+                        undoVersions = [_.last(versions)];
+                    }
+
+                    if (baseline && _.find(undoVersions, version => Util.compareVersion(version, baseline.version) < 1)) {
+                        return Promise.reject(new Error(util.format(
+                            "Base version (%s) cannot be undone.", baseline.version)
+                        ));
+                    }
+
+                    if (_.isEmpty(undoVersions)) {
+                        _private._logger.debug("No versions to undo were found.");
+                        return Promise.resolve([]);
+                    }
+
+                    // resolve every undo script before running any of them
+                    const plan = _.map(undoVersions.reverse(), version => ({
+                        version,
+                        steps: _.chain(objects[version])
+                            .filter({status: STATUS.OK})
+                            .uniq("script")
+                            .reverse()
+                            .map(applied => _private._resolveUndo(applied, scripts, undoScripts))
+                            .value()
+                    }));
+
+                    return Promise.mapSeries(plan, step => _private._undo(step.version, step.steps)
+                        .then(() => _private._emit("version:undone", {
+                            version: step.version,
+                            scripts: _.map(step.steps, _private._describe)
+                        })))
+                        .return(_.pluck(plan, "version"));
+                });
+
+            return _private._locked("undo", run);
+        }
+
+        /**
+         * Migrate several schemas, each by its own schema manager.
+         *
+         * Migration of a schema does not stop the others, the result
+         * reports the success or failure of every schema.
+         *
+         * @param schemas: Array, either schema names or objects with any of the following:
+         *                 schema, client, connection, directory, targetVersion, options.
+         * @param options: Object, optional. Defaults for every schema (client, connection, directory,
+         *                 targetVersion, options) and:
+         *                 - concurrency: Number, schemas to migrate at the same time (default: 1).
+         * @returns Promise{Array}, [{schema, success, error}].
+         */
+        static migrateAll(schemas, options) {
+            options = options || {};
+
+            return Promise.map(schemas, item => {
+                const spec = _.defaults(_.isString(item) ? {schema: item} : _.clone(item), options);
+                let mgr;
+
+                return Promise.try(() => {
+                    mgr = new SchemaManager(spec.schema, spec.client, _.clone(spec.connection), spec.options);
+                    return mgr.migrate(spec.directory, spec.targetVersion);
+                })
+                    .then(() => ({schema: spec.schema, success: true}))
+                    .catch(e => ({schema: spec.schema, success: false, error: e.message}))
+                    .finally(() => mgr && mgr.close());
+            }, {concurrency: options.concurrency || 1});
         }
     }
 
@@ -0,0 +1,17 @@
+/**
+ * {{description}}
+ *
+ * Migration script of version {{version}}.
+ *
+ * @param trx: Knex transaction (http://knexjs.org/#Transactions).
+ *             It is managed by the schema manager, hence should not be started or ended.
+ * @returns Promise.
+ */
+module.exports = function(trx) {
+    // e.g.
+    // return trx.schema.createTable("books", function(table) {
+    //     table.increments();
+    //     table.string("title");
+    // });
+    return Promise.resolve();
+};
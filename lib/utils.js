@@ -4,6 +4,7 @@ const fs = Promise.promisifyAll(require("fs"));
 const path = require("path");
 const util = require("util");
 const url = require("url");
+const glob = require("glob");
 const logging = require("./logging");
 const logger = logging.getLogger("Util");
 
@@ -24,6 +25,247 @@ function getFileExtension(filename) {
 }
 
 
+/**
+ * CRC32 lookup table, built on first use.
+ */
+let crcTable;
+
+/**
+ * Calculate checksum of a migration script content.
+ *
+ * Checksum is a signed 32-bit CRC of the content, so it would fit into the
+ * `checksum` integer column. Line endings are normalized before calculation
+ * so a script checked out on a different platform would have the same checksum.
+ *
+ * Examples
+ * ----------
+ * calculateChecksum("SELECT 1;") => 78787420
+ *
+ * @param content: String/Buffer, script content.
+ * @returns: Number.
+ */
+function calculateChecksum(content) {
+
+    let crc = -1;
+
+    if (!crcTable) {
+        crcTable = _.map(_.range(256), n => {
+            for (let k = 0; k < 8; k++) {
+                n = n & 1 ? 0xEDB88320 ^ (n >>> 1) : n >>> 1;
+            }
+            return n;
+        });
+    }
+
+    content = Buffer.from(String(content).replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n"), "utf8");
+
+    for (let i = 0; i < content.length; i++) {
+        crc = crcTable[(crc ^ content[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ -1) | 0;
+}
+
+
+/**
+ * Placeholder reference in a migration script, e.g. ${schema}.
+ */
+const PLACEHOLDER = /\$\{(\w+)\}/g;
+
+/**
+ * Find the names of the placeholders a migration script refers to.
+ *
+ * Examples
+ * ----------
+ * findPlaceholders("GRANT SELECT ON ${schema}.users TO ${user};") => ["schema", "user"]
+ *
+ * @param content: String, script content.
+ * @returns: Array.
+ */
+function findPlaceholders(content) {
+    const names = [];
+    String(content).replace(PLACEHOLDER, (match, name) => names.push(name));
+    return _.uniq(names);
+}
+
+/**
+ * Replace placeholders in a migration script with their values.
+ *
+ * Examples
+ * ----------
+ * replacePlaceholders("CREATE TABLE ${schema}.users", {schema: "myproject"}) => "CREATE TABLE myproject.users"
+ *
+ * @param content: String, script content.
+ * @param placeholders: Object, values by placeholder name.
+ * @returns: String.
+ * @throws Error, when a placeholder has no value.
+ */
+function replacePlaceholders(content, placeholders) {
+    const unresolved = _.filter(findPlaceholders(content), name => !_.has(placeholders, name));
+
+    if (!_.isEmpty(unresolved)) {
+        throw new Error(`Unresolved placeholder(s): ${unresolved.join(", ")}`);
+    }
+
+    return String(content).replace(PLACEHOLDER, (match, name) => placeholders[name]);
+}
+
+/**
+ * Split a SQL script into statements.
+ *
+ * Statements are separated by a delimiter (";" by default) outside of quoted strings,
+ * quoted identifiers and comments. Dialect specific syntax:
+ * - pg: dollar-quoted strings, e.g. $body$ .. $body$, and E'..' strings with backslash escapes.
+ * - mysql: `DELIMITER` directives, backslash escapes in strings, "#" comments and
+ *   executable comments (/*! .. * /) which are kept as statements.
+ * - sqlite3: the body of `CREATE TRIGGER`, from BEGIN to its END, is part of the statement.
+ *
+ * Comments before a statement are dropped, comments within a statement are kept.
+ *
+ * Examples
+ * ----------
+ * splitStatements("SELECT 1;\n-- two\nSELECT ';';", "pg") => [{sql: "SELECT 1", line: 1}, {sql: "SELECT ';'", line: 3}]
+ *
+ * splitStatements("CREATE FUNCTION f() RETURNS int AS $$ SELECT 1; $$ LANGUAGE sql;\nSELECT f();", "pg") =>
+ *   [{sql: "CREATE FUNCTION f() RETURNS int AS $$ SELECT 1; $$ LANGUAGE sql", line: 1}, {sql: "SELECT f()", line: 2}]
+ *
+ * splitStatements("DELIMITER //\nCREATE PROCEDURE p() BEGIN SELECT 1; END//\nDELIMITER ;\nCALL p();", "mysql") =>
+ *   [{sql: "CREATE PROCEDURE p() BEGIN SELECT 1; END", line: 2}, {sql: "CALL p()", line: 4}]
+ *
+ * splitStatements("CREATE TRIGGER t AFTER INSERT ON a BEGIN INSERT INTO b VALUES (1); UPDATE c SET x=1; END;", "sqlite3") =>
+ *   [{sql: "CREATE TRIGGER t AFTER INSERT ON a BEGIN INSERT INTO b VALUES (1); UPDATE c SET x=1; END", line: 1}]
+ *
+ * @param content: String, script content.
+ * @param client: String, SQL flavor (see `getTransport`).
+ * @returns: Array, [{sql, line}] where line is the line of the script the statement starts at.
+ */
+function splitStatements(content, client) {
+
+    const statements = [];
+    const mysql = client == "mysql";
+    const pg = client == "pg";
+    const sqlite = client == "sqlite3";
+    let delimiter = ";";
+    // nesting of BEGIN .. END (and CASE .. END) blocks within a SQLite trigger
+    let depth = 0;
+    let current = "";
+    let start;
+    let line = 1;
+    let i = 0;
+
+    content = String(content).replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+
+    // move forward by `n` characters, keeping them in the current statement if it started.
+    const consume = n => {
+        const text = content.substr(i, n);
+        if (start !== undefined) {
+            current += text;
+        }
+        line += text.split("\n").length - 1;
+        i += text.length;
+    };
+
+    // index right after the end of a quoted string starting at `i`.
+    const endOfQuote = (quote, backslash) => {
+        let j = i + 1;
+        while (j < content.length) {
+            if (backslash && content[j] == "\\") {
+                j += 2;
+            } else if (content[j] == quote) {
+                return j + 1;
+            } else {
+                j++;
+            }
+        }
+        return j;
+    };
+
+    const endOf = (terminator, from) => {
+        const j = content.indexOf(terminator, from);
+        return j < 0 ? content.length : j + terminator.length;
+    };
+
+    const push = () => {
+        if (start !== undefined && current.trim()) {
+            statements.push({sql: current.trim(), line: start});
+        }
+        current = "";
+        start = undefined;
+        depth = 0;
+    };
+
+    while (i < content.length) {
+        const ch = content[i];
+        const next = content[i + 1];
+
+        if (start === undefined && /\s/.test(ch)) {
+            consume(1);
+            continue;
+        }
+
+        // line comments
+        if ((ch == "-" && next == "-" && (!mysql || !next || /\s/.test(content[i + 2] || " "))) ||
+            (mysql && ch == "#")) {
+            consume(endOf("\n", i) - i);
+            continue;
+        }
+
+        // block comments, executable comments of MySQL are statements
+        if (ch == "/" && next == "*") {
+            if (mysql && (content[i + 2] == "!" || content[i + 2] == "+") && start === undefined) {
+                start = line;
+            }
+            consume(endOf("*/", i + 2) - i);
+            continue;
+        }
+
+        // DELIMITER directive of the MySQL command line client
+        if (mysql && start === undefined && /^DELIMITER\s/i.test(content.substr(i, 10))) {
+            const directive = content.substring(i, endOf("\n", i)).trim().split(/\s+/);
+            if (directive[1]) {
+                delimiter = directive[1];
+            }
+            consume(endOf("\n", i) - i);
+            continue;
+        }
+
+        // the delimiter itself is not part of the statement
+        if (!depth && content.substr(i, delimiter.length) == delimiter) {
+            i += delimiter.length;
+            push();
+            continue;
+        }
+
+        if (start === undefined) {
+            start = line;
+        }
+
+        if (ch == "'" || ch == "\"" || (ch == "`" && !pg)) {
+            const backslash = (mysql && ch != "`") || (pg && ch == "'" && /[eE]/.test(content[i - 1] || ""));
+            consume(endOfQuote(ch, backslash) - i);
+        } else if (pg && ch == "$" && /^\$([A-Za-z_]\w*)?\$/.test(content.substr(i))) {
+            const tag = content.substr(i).match(/^\$([A-Za-z_]\w*)?\$/)[0];
+            consume(endOf(tag, i + tag.length) - i);
+        } else if (sqlite && /\w/.test(ch) && !/\w/.test(content[i - 1] || "")) {
+            const word = content.substr(i).match(/^\w+/)[0].toUpperCase();
+            if (/^CREATE\s+(TEMP(ORARY)?\s+)?TRIGGER\b/i.test(current)) {
+                if (word == "BEGIN" || word == "CASE") {
+                    depth++;
+                } else if (word == "END" && depth) {
+                    depth--;
+                }
+            }
+            consume(word.length);
+        } else {
+            consume(1);
+        }
+    }
+
+    push();
+
+    return statements;
+}
+
 /**
  * Parse version.
  *
@@ -68,6 +310,43 @@ function parseVersion(version) {
     return version;
 }
 
+/**
+ * Parse the target of a migration.
+ *
+ * Examples
+ * ---------
+ * parseTarget()          ---> {}
+ * parseTarget("latest")  ---> {}
+ * parseTarget("next")    ---> {steps: 1}
+ * parseTarget("+3")      ---> {steps: 3}
+ * parseTarget("5_2")     ---> {version: "5.2"}
+ *
+ * @param target: String, optional. "latest" (default), "next" for the next pending version,
+ *                "+N" for the next N pending versions, or a version to migrate up to.
+ * @returns Object, {steps} or {version}, empty for "latest".
+ */
+
+function parseTarget(target) {
+
+    if (!target || target == "latest") {
+        return {};
+    }
+
+    if (target == "next") {
+        return {steps: 1};
+    }
+
+    if (/^\+\d+$/.test(target)) {
+        const steps = parseInt(target.slice(1));
+        if (steps < 1) {
+            throw new Error(`Invalid target, expected at least one step: ${target}`);
+        }
+        return {steps};
+    }
+
+    return {version: parseVersion(target)};
+}
+
 /**
  * Compare version.
  *
@@ -126,6 +405,11 @@ function compareVersion(v1, v2) {
 /**
  * Parse file name to extract details about the migration, such as its version and description.
  *
+ * Scripts prefixed by "U" instead of "V" are undo scripts, reverting the
+ * versioned script with the same version and description.
+ *
+ * Scripts prefixed by "R", with no version, are repeatable scripts.
+ *
  * Examples
  * ------------
 
@@ -136,7 +420,33 @@ function compareVersion(v1, v2) {
     "path": '/path/to/lib/V01_1__My_Migration_Script.sql',
     "type": 'sql',
     "version": '1.1',
-    "description": 'My Migration Script'
+    "description": 'My Migration Script',
+    "undo": false,
+    "repeatable": false
+ }
+
+ parseScriptName("U01_1__My_Migration_Script.sql") -->
+
+ {
+    "script": 'U01_1__My_Migration_Script.sql',
+    "path": '/path/to/lib/U01_1__My_Migration_Script.sql',
+    "type": 'sql',
+    "version": '1.1',
+    "description": 'My Migration Script',
+    "undo": true,
+    "repeatable": false
+ }
+
+ parseScriptName("R__Refresh_Views.sql") -->
+
+ {
+    "script": 'R__Refresh_Views.sql',
+    "path": '/path/to/lib/R__Refresh_Views.sql',
+    "type": 'sql',
+    "version": null,
+    "description": 'Refresh Views',
+    "undo": false,
+    "repeatable": true
  }
 
  * @param migrationScript: String.
@@ -145,7 +455,7 @@ function compareVersion(v1, v2) {
 
 function parseFilename(migrationScript) {
 
-    let raw, pos, basename, extension, version, description;
+    let raw, pos, basename, extension, version, description, undo = false, repeatable = false;
 
     basename = path.basename(migrationScript);
     extension = getFileExtension(basename);
@@ -165,7 +475,18 @@ function parseFilename(migrationScript) {
         description = basename.substring(pos + 2, basename.length - extension.length);
     }
 
-    version = parseVersion(raw);
+    if (raw[0] && raw[0].toLowerCase() == "u") {
+        undo = true;
+        raw = raw.slice(1);
+    }
+
+    if (raw.toLowerCase() == "r" && pos > -1) {
+        repeatable = true;
+        version = null;
+    } else {
+        version = parseVersion(raw);
+    }
+
     description = description.replace(/_/g, " ");
 
     return {
@@ -173,19 +494,137 @@ function parseFilename(migrationScript) {
         "path": path.resolve(migrationScript),
         "type": extension == ".js" ? "Node.js" : "SQL",
         "version": version,
-        "description": description
+        "description": description,
+        "undo": undo,
+        "repeatable": repeatable
     };
 }
 
+/**
+ * List the files of migration locations.
+ *
+ * A location is either a directory, which is searched recursively, or a glob pattern
+ * (e.g. "db/*\/migrations") whose matching directories are searched recursively as well.
+ * Hidden files and directories are ignored.
+ *
+ * @param directory: String/Array, one or more locations.
+ * @returns: Promise{Array}, [{location, path}] in the order of the locations.
+ */
+function listFiles(directory) {
+
+    const locations = _.isArray(directory) ? directory : [directory];
+
+    const walk = (location, file) => fs.statAsync(file)
+        .then(stats => {
+            if (stats.isDirectory()) {
+                return Promise.resolve(fs.readdirAsync(file))
+                    .then(names => names.sort())
+                    .filter(name => name[0] != ".")
+                    .mapSeries(name => walk(location, path.join(file, name)))
+                    .then(_.flatten);
+            }
+            return stats.isFile() ? [{location, path: path.resolve(file)}] : [];
+        });
+
+    return Promise.mapSeries(locations, location => {
+
+        if (!_.isString(location)) {
+            throw new Error("`directory` argument must be a string or an array of strings");
+        }
+
+        const paths = glob.hasMagic(location) ?
+            Promise.fromCallback(callback => glob(location, callback)) :
+            fs.statAsync(location).then(stats => stats.isDirectory() ?
+                [location] :
+                Promise.reject(new Error(`${location} is not a directory.`)));
+
+        return paths
+            .mapSeries(file => walk(location, file))
+            .then(_.flatten)
+            .catch(e => {
+                throw new Error(
+                    `Discovery path (${location}) is either not a directory,\ndoes not exist or has insufficient privileges.${e.message}, errno: ${e.errno}, code: ${e.code}`
+                );
+            });
+    })
+        .then(_.flatten);
+}
+
+/**
+ * Fail on migration scripts which are found more than once, or on a version
+ * whose scripts are spread over several locations.
+ *
+ * @param migrations: Array, migration scripts (see `listScripts`).
+ * @returns: Array, the same migration scripts.
+ */
+function checkDuplicates(migrations) {
+
+    _.each(_.groupBy(migrations, "script"), (same, script) => {
+        if (same.length > 1) {
+            throw new Error(`Migration script ${script} was found more than once: ${_.pluck(same, "path").join(", ")}`);
+        }
+    });
+
+    _.each(_.groupBy(_.reject(migrations, "repeatable"), m => (m.undo ? "U" : "v") + m.version), same => {
+        const locations = _.uniq(_.pluck(same, "location"));
+        if (locations.length > 1) {
+            throw new Error(
+                `Version ${same[0].version} was found in more than one location: ${locations.join(", ")}`
+            );
+        }
+    });
+
+    return migrations;
+}
+
+/**
+ * List migration scripts of one or more locations (see `listFiles`).
+ *
+ * Files which are not named as migration scripts are ignored.
+ *
+ * @param directory: String/Array, one or more locations.
+ * @returns: Promise{Array}, details regarding each of the migration scripts, sorted by name.
+ */
+function listScripts(directory) {
+    return listFiles(directory)
+        .map(file => {
+            try {
+                return _.assign(parseFilename(file.path), {location: file.location});
+            } catch(e) {
+                if (logger.isLevelEnabled("DEBUG")) {
+                    logger.error(e.message);
+                }
+            }
+        })
+        .then(_.compact)
+        .then(checkDuplicates)
+        .then(migrations => _.sortBy(migrations, "script"));
+}
+
+/**
+ * Read a migration script and set its checksum.
+ *
+ * @param migration: Object, migration script details (see `parseFilename`).
+ * @returns: Promise{Object}, the same migration script details.
+ */
+function readChecksum(migration) {
+    return fs.readFileAsync(migration.path, "utf8")
+        .then(content => {
+            migration.checksum = calculateChecksum(content);
+            return migration;
+        });
+}
+
 /**
  * Discover migration scripts.
  *
  *
- * @param directory: String, path to a directory.
+ * @param directory: String/Array, one or more locations (see `listFiles`).
  *                       `discover` will raise an error under the following circumstances:
  *                          - `discoveryPath` does not exist.
  *                          - `discoveryPath` is not a directory.
  *                          - `discoveryPath` has no privileges;
+ *                          - a script name is found more than once, or a version in more than one location.
  *
  * @param targetVersion: Optional. If `targetVersion` was passed, the result
  *                       will include only migration scripts with version = `targetVersion`.
@@ -193,17 +632,15 @@ function parseFilename(migrationScript) {
  * @param baseVersion: Optional. If `baseVersion` was passed, the result
  *                     will include only migration scripts with version > `baseVersion`.
  *
- * @param baseVersionObjects: Optional.
+ * @param baseVersionObjects: Optional. Names of scripts which were already applied, in any version,
+ *                           the result will not include them.
  *
- * @results: Array, sorted by version, each element will contain details regarding the migration script.
+ * @results: Array, sorted by version, each element will contain details regarding the migration script,
+ *           including the checksum of its content.
  */
 
 function discovery(directory, targetVersion, baseVersion, baseVersionObjects) {
 
-    if (!_.isString(directory)) {
-        throw new Error("`directory` argument must be a string");
-    }
-
     if (targetVersion) {
         targetVersion = parseVersion(targetVersion);
     }
@@ -216,22 +653,11 @@ function discovery(directory, targetVersion, baseVersion, baseVersionObjects) {
         throw new Error("`baseVersionObjects` argument must be an array");
     }
 
-    return fs.lstatAsync(directory)
-        .then(stats => stats.isDirectory() ?
-            fs.readdirAsync(directory) :
-            Promise.reject(`${directory} is not a directory.`))
-        .map(script => {
+    return listScripts(directory)
+        .filter(migration => !migration.undo && !migration.repeatable)
+        .map(migration => {
 
-            let migration, version, object;
-
-            try {
-                migration = parseFilename(path.resolve(directory, script));
-            } catch(e) {
-                if (logger.isLevelEnabled("DEBUG")) {
-                    logger.error(e.message);
-                }
-                return;
-            }
+            let version, object;
 
             version = _.get(migration, "version", "");
             object = _.get(migration, "script");
@@ -250,7 +676,7 @@ function discovery(directory, targetVersion, baseVersion, baseVersionObjects) {
                 );
             }
 
-            else if (baseVersion && compareVersion(baseVersion, version) == 0 && baseVersionObjects && baseVersionObjects.indexOf(object) > -1) {
+            else if (baseVersionObjects && baseVersionObjects.indexOf(object) > -1) {
                 logger.info(util.format(
                     "Object %s/%s already exists " +
                     "and will be ignored.", version, object)
@@ -258,7 +684,7 @@ function discovery(directory, targetVersion, baseVersion, baseVersionObjects) {
             }
 
             else {
-                return migration;
+                return readChecksum(migration);
             }
 
         })
@@ -271,14 +697,185 @@ function discovery(directory, targetVersion, baseVersion, baseVersionObjects) {
                 return _.map(ver, key => versions[key]);
             })
             .values()
-            .value())
-        .catch(e => {
-            throw new Error(
-                `Discovery path (${directory}) is either not a directory,\ndoes not exist or has insufficient privileges.${e.message}, errno: ${e.errno}, code: ${e.code}`
-            );
+            .value());
+}
+
+/**
+ * Discover scripts of a certain kind, with their checksums.
+ *
+ * @param directory: String, path to a directory (see `discovery`).
+ * @param predicate: Function, filter for migration scripts.
+ * @returns: Promise{Array}.
+ */
+function discoverScripts(directory, predicate) {
+    return listScripts(directory)
+        .filter(predicate)
+        .map(readChecksum);
+}
+
+/**
+ * Discover undo scripts.
+ *
+ * @param directory: String, path to a directory (see `discovery`).
+ * @results: Array, undo scripts sorted by version, each element will contain details regarding the script,
+ *           including the checksum of its content.
+ */
+
+function undoDiscovery(directory) {
+    return discoverScripts(directory, migration => migration.undo)
+        .then(migrations => migrations.sort((m1, m2) => compareVersion(m1.version, m2.version)));
+}
+
+/**
+ * Discover repeatable scripts.
+ *
+ * @param directory: String, path to a directory (see `discovery`).
+ * @results: Array, repeatable scripts sorted by name, each element will contain details regarding the script,
+ *           including the checksum of its content.
+ */
+
+function repeatableDiscovery(directory) {
+    return discoverScripts(directory, migration => migration.repeatable)
+        .then(migrations => _.sortBy(migrations, "script"));
+}
+
+/**
+ * Discover the callback scripts of a lifecycle event, e.g. beforeMigrate.sql and beforeMigrate.js.
+ *
+ * @param directory: String/Array, one or more locations (see `listFiles`).
+ * @param event: String, name of the event.
+ * @results: Array, callback scripts in the order of the locations (SQL first in each of them),
+ *           each element will contain the script name, path and type.
+ */
+
+function callbackDiscovery(directory, event) {
+    return listFiles(directory)
+        .filter(file => [event + ".sql", event + ".js"].indexOf(path.basename(file.path)) > -1)
+        .then(files => _.flatten(_.map(_.uniq(_.pluck(files, "location")), location =>
+            _.sortBy(_.filter(files, {location}), file => getFileExtension(file.path) == ".js"))))
+        .map(file => ({
+            "script": path.basename(file.path),
+            "path": file.path,
+            "type": getFileExtension(file.path) == ".js" ? "Node.js" : "SQL"
+        }));
+}
+
+/**
+ * Get the version which follows the latest version in a directory,
+ * by incrementing the last part of the latest version.
+ *
+ * Examples
+ * ---------
+ * Directory with v1__A.sql, v1_1__B.sql ---> "1.2"
+ * Directory with v3__A.sql ---> "4"
+ * Empty directory ---> "1"
+ *
+ * @param directory: String, path to a directory (see `discovery`).
+ * @returns: Promise{String}.
+ */
+function nextVersion(directory) {
+    return listScripts(directory)
+        .then(migrations => {
+            const latest = _.reduce(migrations, (latest, migration) =>
+                compareVersion(migration.version, latest) == 1 ? migration.version : latest, undefined);
+            let parts;
+
+            if (!latest) {
+                return "1";
+            }
+
+            parts = latest.split(".");
+            parts[parts.length - 1] = +parts[parts.length - 1] + 1;
+            return parts.join(".");
+        });
+}
+
+/**
+ * Create a new migration script in a directory.
+ *
+ * @param directory: String/Array, one or more locations (see `discovery`), the script
+ *                   is created in the first of them.
+ * @param description: String, description of the migration script.
+ * @param options: Object, optional.
+ *                 - location: String, directory to create the script in, instead of the first location.
+ *                 - type: String, "SQL" (default) or "Node.js".
+ *                 - version: String, version of the script. Default is the next version (see `nextVersion`).
+ *                 - template: String, path to the template of Node.js scripts.
+ * @returns: Promise{Object}, details regarding the new migration script (see `parseFilename`).
+ */
+function createScript(directory, description, options) {
+
+    options = options || {};
+
+    if (!_.isString(description) || !description.trim()) {
+        throw new Error("`description` argument must be a non-empty string");
+    }
+
+    description = description.trim().replace(/\s+/g, "_").replace(/[^\w-]/g, "");
+
+    if (!description || description.length >= 255) {
+        throw new Error(`Invalid description, expected text of less than 255 characters but got: ${description}`);
+    }
+
+    const location = options.location || (_.isArray(directory) ? directory[0] : directory);
+
+    if (!_.isString(location) || glob.hasMagic(location)) {
+        throw new Error(`Expected a directory to create the migration script in but got: ${location}`);
+    }
+
+    return Promise.resolve(options.version ? parseVersion(options.version) : nextVersion(directory))
+        .then(version => {
+            const extension = options.type == "Node.js" ? ".js" : ".sql";
+            const filename = path.resolve(location, `v${version.replace(/\./g, "_")}__${description}${extension}`);
+            const migration = parseFilename(filename);
+            const content = extension == ".js" ?
+                fs.readFileAsync(options.template || path.resolve(__dirname, "templates", "migration.js"), "utf8") :
+                Promise.resolve("-- {{description}}\n");
+
+            return content
+                .then(template => template
+                    .replace(/{{version}}/g, migration.version)
+                    .replace(/{{description}}/g, migration.description))
+                .then(text => fs.writeFileAsync(filename, text, {flag: "wx"}))
+                .then(() => migration);
         });
 }
 
+/**
+ * Compare two snapshots of a schema structure (see `SchemaManager#snapshot`).
+ *
+ * Tables present in both snapshots are compared by their columns, indexes and constraints.
+ *
+ * @param expected: Object, recorded snapshot {tables, views}.
+ * @param actual: Object, snapshot of the live schema {tables, views}.
+ * @returns Array, differences [{change: "added"|"removed"|"changed", kind, name, expected, actual}],
+ *          where "added" objects exist in the live schema only.
+ */
+function diffSnapshots(expected, actual) {
+    const differences = [];
+
+    const compare = (kind, prefix, from, to) => _.each(_.union(_.keys(from), _.keys(to)).sort(), key => {
+        const name = prefix ? `${prefix}.${key}` : key;
+
+        if (!_.has(to, key)) {
+            differences.push({change: "removed", kind, name, expected: from[key]});
+        } else if (!_.has(from, key)) {
+            differences.push({change: "added", kind, name, actual: to[key]});
+        } else if (kind == "table") {
+            compare("column", name, from[key].columns, to[key].columns);
+            compare("index", name, from[key].indexes, to[key].indexes);
+            compare("constraint", name, from[key].constraints, to[key].constraints);
+        } else if (!_.isEqual(from[key], to[key])) {
+            differences.push({change: "changed", kind, name, expected: from[key], actual: to[key]});
+        }
+    });
+
+    compare("table", "", _.get(expected, "tables"), _.get(actual, "tables"));
+    compare("view", "", _.get(expected, "views"), _.get(actual, "views"));
+
+    return differences;
+}
+
 /**
  * Knex Client installation (http://knexjs.org/#Installation-client)
  * As Knex provides the SQL transport for the schema management, this function
@@ -286,12 +883,17 @@ function discovery(directory, targetVersion, baseVersion, baseVersionObjects) {
  * @param client: String, SQL flavor ["mysql","sqlite3","pg","mariasql","strong-oracle","oracle"].
  * @param connectionStringOrConfig: String/Object, connection string or config object.
  *        Either a key-value object (key-value) or a URL formatted connection string.
+ * @param database: String, database (MySQL).
+ * @param connectTimeout: Number, optional. Seconds to wait for a connection of the pool, 0 to wait for as
+ *        long as the driver does (default: 30).
  * @returns: {Knex}.
  */
-function getTransport(client, connectionStringOrConfig, database) {
+function getTransport(client, connectionStringOrConfig, database, connectTimeout) {
 
     let transport, asUrl;
 
+    connectTimeout = _.isUndefined(connectTimeout) ? 30 : connectTimeout;
+
     if (typeof client != "string") {
         throw new Error(
             `expected second argument to be a string but got \`${typeof(schema)}\` instead.`
@@ -309,43 +911,48 @@ function getTransport(client, connectionStringOrConfig, database) {
         if (_.isString(connectionStringOrConfig)) {
 
             try {
-                asUrl = url.parse(connectionStringOrConfig);
+                asUrl = url.parse(connectionStringOrConfig, true);
             } catch(e) {
                 throw new Error(`Could not parse connection string: ${connectionStringOrConfig}`);
             }
 
-            // Knex won't stand a connection string with empty pathname
-            if (!asUrl.pathname) {
-                asUrl.pathname = "/";
-            }
-
-            // Knex won't stand a password-less connection string
-            if (asUrl.auth && asUrl.auth.indexOf(":") < 0) {
-                asUrl.auth += ":";
-            }
-
-            // Init query object if not exists
-            if (!asUrl.query) {
-                asUrl.query = {};
-            }
+            // Knex drops the query of a connection string, hence it is turned into a config object
+            const auth = asUrl.auth ? asUrl.auth.split(":") : [];
+            connectionStringOrConfig = _.assign(_.omit({
+                host: asUrl.hostname,
+                port: asUrl.port,
+                user: auth[0] || undefined,
+                password: auth.length > 1 ? auth.slice(1).join(":") : undefined
+            }, _.isUndefined), asUrl.query);
+        }
 
-            // Set `multipleStatements` to true
-            asUrl.query["multipleStatements"] = "true";
+        // Set `multipleStatements` to true and `database`,
+        // on a copy since the config may be shared by several schemas
+        connectionStringOrConfig = _.assign({}, connectionStringOrConfig, {
+            multipleStatements: true,
+            database
+        }, connectTimeout > 0 ? {connectTimeout: connectTimeout * 1000} : {});
+    }
+    
+    else if (client == "sqlite3") {
 
-            // Set `database`
-            asUrl.query["database"] = database;
+        // the driver is an optional dependency, as it has to be compiled
+        try {
+            require.resolve("sqlite3");
+        } catch (e) {
+            throw new Error("SQLite requires the `sqlite3` package, install it by `npm install sqlite3`. aborting.");
+        }
 
-            // re-build the connection string with the modifications
-            connectionStringOrConfig = url.format(asUrl);
+        // SQLite has no schemas, the database is a file (or ":memory:")
+        if (_.isString(connectionStringOrConfig)) {
+            connectionStringOrConfig = {filename: connectionStringOrConfig};
+        }
 
-        } else {
-            // Set `multipleStatements` to true
-            connectionStringOrConfig["multipleStatements"] = true;
-            // Set `database`
-            connectionStringOrConfig["database"] = database;
+        if (!connectionStringOrConfig.filename) {
+            throw new Error("expected SQLite connection to have a `filename`. aborting.");
         }
     }
-    
+
     /* eslint-disable */
     else if (client == "pg") {
 
@@ -363,7 +970,9 @@ function getTransport(client, connectionStringOrConfig, database) {
     try {
         transport = require("knex")({
             client,
-            connection: connectionStringOrConfig
+            connection: connectionStringOrConfig,
+            // the pool gives up on a connection which takes longer, which fails the pending queries
+            pool: {acquireTimeout: connectTimeout * 1000}
         });
     } catch(e) {
         throw new Error(`Could not load transport:${e}`);
@@ -372,8 +981,52 @@ function getTransport(client, connectionStringOrConfig, database) {
     return transport;
 }
 
+/**
+ * Get a recording transport.
+ *
+ * The recorder has the same interface as the transport (see `getTransport`), but
+ * queries are not sent to the database. Instead, the SQL of every query is appended
+ * to `queries` and the query resolves with an empty result.
+ *
+ * @param client: String, SQL flavor (see `getTransport`).
+ * @param queries: Array, where recorded queries are appended.
+ * @returns: {Knex}.
+ */
+function getRecorder(client, queries) {
+
+    let recorder;
+
+    try {
+        recorder = require("knex")({client});
+    } catch(e) {
+        throw new Error(`Could not load transport:${e}`);
+    }
+
+    recorder.client.runner = builder => ({
+        run: () => {
+            queries.push(builder.toString());
+            return Promise.resolve([]);
+        }
+    });
+
+    return recorder;
+}
+
 module.exports = {
     getTransport,
+    getRecorder,
     parseVersion,
-    discovery
+    parseTarget,
+    compareVersion,
+    calculateChecksum,
+    findPlaceholders,
+    replacePlaceholders,
+    splitStatements,
+    diffSnapshots,
+    discovery,
+    nextVersion,
+    createScript,
+    undoDiscovery,
+    repeatableDiscovery,
+    callbackDiscovery
 };
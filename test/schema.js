@@ -0,0 +1,160 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const knex = require("knex");
+const test = require("node:test");
+const SchemaManager = require("../lib/schema");
+
+// sqlite3 database and migration scripts in a temporary directory, removed after the test
+const setup = (t, files) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "db-migrate-"));
+    const directory = path.join(root, "migrations");
+    const managers = [];
+
+    fs.mkdirSync(directory);
+    Object.keys(files).forEach(name => fs.writeFileSync(path.join(directory, name), files[name]));
+
+    t.after(() => Promise.all(managers.map(mgr => mgr.close()))
+        .then(() => fs.rmSync(root, {recursive: true, force: true})));
+
+    return {
+        directory,
+        filename: path.join(root, "test.db"),
+        manager(options) {
+            const mgr = new SchemaManager("test", "sqlite3", this.filename, options);
+            managers.push(mgr);
+            return mgr;
+        },
+        // run queries on the database, outside of a schema manager
+        raw(queries) {
+            const db = knex({client: "sqlite3", connection: {filename: this.filename}});
+            return queries.reduce((done, sql) => done.then(() => db.raw(sql)), Promise.resolve())
+                .then(result => db.destroy().then(() => result), e => db.destroy().then(() => {
+                    throw e;
+                }));
+        },
+        write(name, content) {
+            fs.writeFileSync(path.join(directory, name), content);
+        }
+    };
+};
+
+const SCRIPTS = {
+    "v1__One.sql": "CREATE TABLE one (x int);",
+    "v2__Two.sql": "CREATE TABLE two (x int);",
+    "v3__Three.sql": "CREATE TABLE three (x int);",
+    "v4__Four.sql": "CREATE TABLE four (x int);"
+};
+
+const scripts = plan => plan.map(migration => migration.script);
+
+test("lock", t => {
+    const db = setup(t, SCRIPTS);
+    const mgr = db.manager({lockTimeout: 0});
+
+    return mgr.baseline("0")
+        .then(() => db.raw([
+            "INSERT INTO schema_version_lock (id, locked_by, operation, locked_at) " +
+            "VALUES (1, 'someone@elsewhere', 'migrate', '2016-01-01 00:00:00')"
+        ]))
+        .then(() => mgr.migrate(db.directory))
+        .then(() => assert.fail("migrated a locked schema"), e => assert.ok(/is locked by someone@elsewhere/.test(e.message)))
+        .then(() => mgr.unlock())
+        .then(lock => assert.equal(lock.locked_by, "someone@elsewhere"))
+        .then(() => mgr.unlock())
+        .then(lock => assert.equal(lock, undefined))
+        .then(() => mgr.migrate(db.directory))
+        .then(() => mgr.revision())
+        .then(revision => assert.equal(revision.version, "4"))
+        // the lock is released after the operation
+        .then(() => db.raw(["SELECT COUNT(*) AS locks FROM schema_version_lock"]))
+        .then(rows => assert.equal(rows[0].locks, 0));
+});
+
+test("baseline", t => {
+    const db = setup(t, SCRIPTS);
+    const mgr = db.manager();
+
+    return mgr.migrate(db.directory)
+        .then(() => assert.fail("migrated a schema without history"), e => assert.ok(/has no history/.test(e.message)))
+        // the scripts of the base version itself are pending
+        .then(() => mgr.baseline("2"))
+        .then(() => mgr.plan(db.directory))
+        .then(plan => assert.deepEqual(scripts(plan), ["v2__Two.sql", "v3__Three.sql", "v4__Four.sql"]))
+        .then(() => mgr.baseline("3"))
+        .then(() => assert.fail("replaced a history"), e => assert.ok(/already has a history/.test(e.message)))
+        .then(() => mgr.baseline("3", "Reset", {force: true}))
+        .then(() => mgr.plan(db.directory))
+        .then(plan => assert.deepEqual(scripts(plan), ["v3__Three.sql", "v4__Four.sql"]));
+});
+
+test("baselineOnMigrate adopts a schema with objects", t => {
+    const db = setup(t, SCRIPTS);
+    const mgr = db.manager({baselineOnMigrate: true, baselineVersion: "2"});
+
+    return db.raw(["CREATE TABLE one (x int)", "CREATE TABLE two (x int)"])
+        .then(() => mgr.plan(db.directory))
+        .then(plan => assert.deepEqual(scripts(plan), ["v3__Three.sql", "v4__Four.sql"]))
+        .then(() => mgr.migrate(db.directory))
+        .then(() => mgr.info(db.directory))
+        .then(info => {
+            const adopted = info.history.filter(row => row.reason == "Adopted by baselineOnMigrate");
+            assert.deepEqual(adopted.map(row => row.script), ["v1__One.sql", "v2__Two.sql"]);
+        })
+        .then(() => db.manager({baselineOnMigrate: true, baselineVersion: "2"}).plan(db.directory))
+        .then(plan => assert.equal(plan.length, 0));
+});
+
+test("baselineOnMigrate migrates an empty schema from scratch", t => {
+    const db = setup(t, SCRIPTS);
+    const mgr = db.manager({baselineOnMigrate: true, baselineVersion: "2"});
+
+    return mgr.plan(db.directory)
+        .then(plan => assert.deepEqual(scripts(plan), Object.keys(SCRIPTS)))
+        .then(() => mgr.migrate(db.directory))
+        .then(() => mgr.revision())
+        .then(revision => assert.equal(revision.version, "4"));
+});
+
+test("targets", t => {
+    const db = setup(t, SCRIPTS);
+    const mgr = db.manager();
+
+    return mgr.baseline("0")
+        .then(() => mgr.plan(db.directory, "next"))
+        .then(plan => {
+            assert.deepEqual(scripts(plan), ["v1__One.sql"]);
+            assert.equal(plan.target, "1");
+        })
+        .then(() => mgr.migrate(db.directory, "+2"))
+        .then(() => mgr.revision())
+        .then(revision => assert.equal(revision.version, "2"))
+        .then(() => mgr.migrate(db.directory, undefined, {from: "4"}))
+        .then(() => assert.fail("left a version behind"), e => assert.ok(/lower than `from`/.test(e.message)))
+        .then(() => mgr.migrate(db.directory, "3", {to: "4"}))
+        .then(() => assert.fail("migrated to two targets"), e => assert.ok(/both/.test(e.message)))
+        .then(() => mgr.migrate(db.directory, undefined, {to: "3"}))
+        .then(() => mgr.revision())
+        .then(revision => assert.equal(revision.version, "3"));
+});
+
+test("next counts the versions above the current one, out of order", t => {
+    const db = setup(t, {"v1__One.sql": SCRIPTS["v1__One.sql"], "v3__Three.sql": SCRIPTS["v3__Three.sql"],
+        "v4__Four.sql": SCRIPTS["v4__Four.sql"]});
+    const mgr = db.manager();
+
+    return mgr.baseline("0")
+        .then(() => mgr.migrate(db.directory, "3"))
+        .then(() => db.write("v2__Two.sql", SCRIPTS["v2__Two.sql"]))
+        .then(() => mgr.migrate(db.directory, "next"))
+        .then(() => assert.fail("applied a version out of order"), e => assert.ok(/outOfOrder/.test(e.message)))
+        .then(() => mgr.plan(db.directory, "next", {outOfOrder: true}))
+        .then(plan => {
+            assert.deepEqual(scripts(plan), ["v2__Two.sql", "v4__Four.sql"]);
+            assert.equal(plan.target, "4");
+        })
+        .then(() => mgr.migrate(db.directory, "next", {outOfOrder: true}))
+        .then(() => mgr.plan(db.directory, undefined, {outOfOrder: true}))
+        .then(plan => assert.equal(plan.length, 0));
+});
@@ -0,0 +1,78 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const Util = require("../lib/utils");
+
+// directory of migration scripts, {filename: content}
+const scripts = files => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "db-migrate-"));
+    Object.keys(files).forEach(name => {
+        fs.mkdirSync(path.dirname(path.join(directory, name)), {recursive: true});
+        fs.writeFileSync(path.join(directory, name), files[name]);
+    });
+    return directory;
+};
+
+const names = versions => versions.map(step => step.map(migration => migration.script));
+
+test("parseTarget", () => {
+    assert.deepEqual(Util.parseTarget(), {});
+    assert.deepEqual(Util.parseTarget("latest"), {});
+    assert.deepEqual(Util.parseTarget("next"), {steps: 1});
+    assert.deepEqual(Util.parseTarget("+3"), {steps: 3});
+    assert.deepEqual(Util.parseTarget("5_2"), {version: "5.2"});
+    assert.throws(() => Util.parseTarget("+0"), /at least one step/);
+    assert.throws(() => Util.parseTarget("soon"), /Invalid version/);
+});
+
+test("compareVersion", () => {
+    assert.equal(Util.compareVersion("0.1", "0.1.1"), -1);
+    assert.equal(Util.compareVersion("1.10", "1.9"), 1);
+    assert.equal(Util.compareVersion("2", "2.0"), 0);
+});
+
+test("discovery", t => {
+    const directory = scripts({
+        "v1__Create.sql": "CREATE TABLE a (x int);",
+        "v1_1__Alter.sql": "ALTER TABLE a ADD y int;",
+        "nested/v1_1__Index.sql": "CREATE INDEX a_y ON a (y);",
+        "v2__More.js": "module.exports = () => Promise.resolve();",
+        "v10__Last.sql": "CREATE TABLE b (x int);",
+        "U2__More.sql": "DROP TABLE c;",
+        "R__View.sql": "CREATE VIEW v AS SELECT 1;",
+        ".hidden/v3__Hidden.sql": "CREATE TABLE h (x int);"
+    });
+    t.after(() => fs.rmSync(directory, {recursive: true, force: true}));
+
+    return Promise.all([
+        Util.discovery(directory).then(versions => assert.deepEqual(names(versions), [
+            ["v1__Create.sql"], ["v1_1__Alter.sql", "v1_1__Index.sql"], ["v2__More.js"], ["v10__Last.sql"]
+        ])),
+        // from the base version, up to the target version
+        Util.discovery(directory, "2", "1.1").then(versions => assert.deepEqual(names(versions), [
+            ["v1_1__Alter.sql", "v1_1__Index.sql"], ["v2__More.js"]
+        ])),
+        // applied scripts are excluded, whatever their version
+        Util.discovery(directory, undefined, undefined, ["v1__Create.sql", "v1_1__Index.sql"])
+            .then(versions => assert.deepEqual(names(versions), [["v1_1__Alter.sql"], ["v2__More.js"], ["v10__Last.sql"]])),
+        Util.repeatableDiscovery(directory).then(found => assert.deepEqual(found.map(s => s.script), ["R__View.sql"])),
+        Util.undoDiscovery(directory).then(found => assert.deepEqual(found.map(s => s.script), ["U2__More.sql"]))
+    ]);
+});
+
+test("discovery of several locations", t => {
+    const first = scripts({"v1__A.sql": "SELECT 1;"});
+    const second = scripts({"v2__B.sql": "SELECT 2;"});
+    const clash = scripts({"v1__A.sql": "SELECT 3;"});
+    t.after(() => [first, second, clash].forEach(d => fs.rmSync(d, {recursive: true, force: true})));
+
+    return Promise.all([
+        Util.discovery([first, second]).then(versions => assert.deepEqual(names(versions), [["v1__A.sql"], ["v2__B.sql"]])),
+        Util.discovery([first, clash]).then(
+            () => assert.fail("duplicate scripts were discovered"),
+            e => assert.ok(e instanceof Error)
+        )
+    ]);
+});